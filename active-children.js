@@ -0,0 +1,120 @@
+// Recently active children, for the scheduled refresh (scheduledRefreshTrigger).
+//
+// Activity keys are only refreshed when a write arrives, so the day log of a
+// quiet child expires after 30 minutes, and at local midnight it keeps
+// showing the previous day until the next write. Every fully processed
+// activity event records its child in the sorted set `active:children`
+// (member the JSON array [collection, parentId, childId], since IDs may
+// contain colons; score the time of the event),
+// and the scheduled job refreshes the children seen within
+// ACTIVE_CHILD_WINDOW_SECONDS whose summary or day log:
+//   - is missing (expired)
+//   - expires within SCHEDULED_REFRESH_AHEAD_SECONDS
+//   - was computed for an earlier local day than the child's current one
+
+const { SCHEMA_VERSION, getCacheKey, readEntry } = require('./cache-keys');
+const { getLocalDate } = require('./timezone');
+const { namespaceKey } = require('./key-namespace');
+
+const ACTIVE_CHILDREN_KEY = 'active:children';
+const DEFAULT_WINDOW_SECONDS = 172800;
+const DEFAULT_AHEAD_SECONDS = 600;
+const DEFAULT_CONCURRENCY = 5;
+
+function getActiveChildrenConfig() {
+  return {
+    windowSeconds: parseInt(process.env.ACTIVE_CHILD_WINDOW_SECONDS || DEFAULT_WINDOW_SECONDS),
+    aheadSeconds: parseInt(process.env.SCHEDULED_REFRESH_AHEAD_SECONDS || DEFAULT_AHEAD_SECONDS),
+    concurrency: parseInt(process.env.SCHEDULED_REFRESH_CONCURRENCY || DEFAULT_CONCURRENCY)
+  };
+}
+
+// Note that a child had activity just now
+async function recordActiveChild(client, collectionName, parentId, childId) {
+  await client.zAdd(namespaceKey(ACTIVE_CHILDREN_KEY), {
+    score: Date.now(),
+    value: JSON.stringify([collectionName, parentId, childId])
+  });
+}
+
+// [collection, parentId, childId] of a member. Members recorded before they
+// were JSON are "<collection>:<parentId>:<childId>", split on the first and
+// last colon (collection names have none; a colon in a child ID is taken for
+// part of the parent ID).
+function parseMember(value) {
+  const text = String(value);
+  if (text.startsWith('[')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return [];
+    }
+  }
+  const first = text.indexOf(':');
+  const last = text.lastIndexOf(':');
+  if (first < 0 || last === first) {
+    return [];
+  }
+  return [text.slice(0, first), text.slice(first + 1, last), text.slice(last + 1)];
+}
+
+// Children active within the window, one per parent-child pair (the
+// collection of its latest activity), least recently active first.
+// Children that fell out of the window are dropped from the set.
+async function listActiveChildren(client) {
+  const { windowSeconds } = getActiveChildrenConfig();
+  const key = namespaceKey(ACTIVE_CHILDREN_KEY);
+  const windowStart = Date.now() - windowSeconds * 1000;
+
+  await client.zRemRangeByScore(key, '-inf', `(${windowStart}`);
+  const members = await client.zRangeByScoreWithScores(key, windowStart, '+inf');
+
+  const children = new Map();
+  for (const { value, score } of members) {
+    const [collectionName, parentId, childId] = parseMember(value);
+    if (!collectionName || !parentId || !childId) continue;
+    // Ascending scores: a later member of the same pair is more recent
+    children.set(`${parentId}:${childId}`, { collectionName, parentId, childId, lastActiveAt: Number(score) });
+  }
+  return Array.from(children.values()).sort((a, b) => a.lastActiveAt - b.lastActiveAt);
+}
+
+// Local day an activity entry was computed for
+function entryDay(entry, timeZone) {
+  if (entry.day) {
+    return entry.day;
+  }
+  const computedAt = Date.parse(entry.lastSuccessAt || entry.lastUpdated);
+  return Number.isNaN(computedAt) ? null : getLocalDate(entry.timeZone || timeZone, new Date(computedAt));
+}
+
+// Why a child's activity keys need a refresh now: 'missing', 'expiring' or
+// 'day_rollover'; null when they are fine
+async function getRefreshReason(client, collectionConfig, childId, timeZone) {
+  const { aheadSeconds } = getActiveChildrenConfig();
+  const today = getLocalDate(timeZone);
+
+  for (const keyName of ['summary', 'daylog']) {
+    const found = await readEntry(client, collectionConfig, keyName, { childId }, { versions: [SCHEMA_VERSION] });
+    if (!found) {
+      return 'missing';
+    }
+    // TTL -1 (no expiry) never needs refreshing ahead of time
+    const ttl = await client.ttl(getCacheKey(collectionConfig, keyName, { childId }).key);
+    if (ttl >= 0 && ttl <= aheadSeconds) {
+      return 'expiring';
+    }
+    if (entryDay(found.entry, timeZone) !== today) {
+      return 'day_rollover';
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  ACTIVE_CHILDREN_KEY,
+  getActiveChildrenConfig,
+  recordActiveChild,
+  listActiveChildren,
+  getRefreshReason
+};
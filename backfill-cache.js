@@ -0,0 +1,408 @@
+// Warm the cache for existing children, e.g. after a Redis flush, on a fresh
+// cluster or after a key schema change.
+//
+//   node backfill-cache.js [--source profiles|activity] [--parent <id>] [--active-days <n>]
+//                          [--rate <n>] [--page-size <n>] [--limit <n>]
+//                          [--run <name>] [--restart] [--dry-run]
+//
+// Children come from child_profile (--source profiles, the default) or from
+// the distinct parent/child pairs in the activity collections (--source
+// activity; the collections with a `daylog` block in collections.yaml). Each
+// child gets the profile and activity refresh the triggers run
+// (warmChildCache in index.js).
+//
+//   --parent <id>        only this parent's children
+//   --active-days <n>    only children with activity in the last n days
+//   --rate <n>           at most n children per second (default 5, 0 for no limit);
+//                        the upstream concurrency limit applies on top
+//   --page-size <n>      Firestore page size (default 100)
+//   --limit <n>          stop after n children; run again to continue
+//   --run <name>         checkpoint name (default: the source)
+//   --restart            ignore the checkpoint and start from the beginning
+//   --dry-run            list the children without refreshing them
+//
+// The position is checkpointed in Redis (backfill:<run>) after every page of
+// documents, so an interrupted run continues where it stopped; children of
+// the page it stopped in may be refreshed again, which is harmless. The
+// checkpoint also keeps the children that failed, which are retried first
+// when the run is resumed. For --source activity the children already
+// refreshed are kept in a Redis set next to it (backfill:<run>:seen), so the
+// checkpoint stays small however many children there are. A completed run
+// only retries its failed children until --restart.
+// --source activity reads every activity document in range, one Firestore read
+// each (the whole history without --active-days).
+// --active-days and --source activity with --parent filter on childId or
+// parentId plus startTime, which need composite indexes in Firestore.
+
+const { getKindCollection } = require('./cache-keys');
+const { listCollections } = require('./collection-registry');
+const { namespaceKey } = require('./key-namespace');
+const { loadEnvFile } = require('./cli-support');
+
+const SOURCES = ['profiles', 'activity'];
+const DOCUMENT_ID = '__name__';
+const DEFAULT_RATE = 5;
+const DEFAULT_PAGE_SIZE = 100;
+const CHECKPOINT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseArgs(argv) {
+  const options = {
+    source: 'profiles',
+    rate: DEFAULT_RATE,
+    pageSize: DEFAULT_PAGE_SIZE,
+    restart: false,
+    dryRun: false
+  };
+  const valueFlags = {
+    '--source': 'source',
+    '--parent': 'parent',
+    '--active-days': 'activeDays',
+    '--rate': 'rate',
+    '--page-size': 'pageSize',
+    '--limit': 'limit',
+    '--run': 'run'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--restart') {
+      options.restart = true;
+    } else if (flag === '--dry-run') {
+      options.dryRun = true;
+    } else if (valueFlags[flag] && argv[i + 1] !== undefined) {
+      options[valueFlags[flag]] = argv[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option: ${flag} (see the top of backfill-cache.js)`);
+    }
+  }
+
+  if (!SOURCES.includes(options.source)) {
+    throw new Error(`--source must be one of ${SOURCES.join(', ')}`);
+  }
+  for (const name of ['activeDays', 'rate', 'pageSize', 'limit']) {
+    if (options[name] === undefined) continue;
+    options[name] = Number(options[name]);
+    if (!Number.isInteger(options[name]) || options[name] < 0) {
+      throw new Error(`--${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)} must be a whole number`);
+    }
+  }
+  return options;
+}
+
+// Collections that hold activity records, with the field their time is in
+function getActivityCollections() {
+  return listCollections().filter(config => config.daylog && !config.testData);
+}
+
+// Firestore Timestamp or Date -> ISO string, for cursors stored as JSON
+function toIsoString(value) {
+  const date = value && typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return date.toISOString();
+}
+
+// Documents of a query, page by page, starting after a stored cursor.
+// orderBy lists the fields the cursor holds; timeFields are restored to dates.
+async function* pageDocuments(query, { orderBy, timeFields = [], cursor, pageSize }) {
+  for (const field of orderBy) {
+    query = query.orderBy(field);
+  }
+
+  let after = cursor;
+  while (true) {
+    let page = query;
+    if (after) {
+      page = page.startAfter(...after.map((value, i) => timeFields.includes(orderBy[i]) ? new Date(value) : value));
+    }
+    const { docs } = await page.limit(pageSize).get();
+
+    for (const doc of docs) {
+      const data = doc.data();
+      after = orderBy.map(field => {
+        if (field === DOCUMENT_ID) return doc.id;
+        return timeFields.includes(field) ? toIsoString(data[field]) : data[field];
+      });
+      yield { data, cursor: after };
+    }
+    if (docs.length < pageSize) {
+      return;
+    }
+  }
+}
+
+// Whether a child has activity records since a time
+async function hasRecentActivity(db, childId, since) {
+  for (const config of getActivityCollections()) {
+    const { docs } = await db.collection(config.name)
+      .where('childId', '==', childId)
+      .where(config.daylog.timeField, '>=', since)
+      .limit(1)
+      .get();
+    if (docs.length > 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Children to warm, as { parentId, childId, inactive, position }. position
+// is where to resume after this child: { collection, cursor }, or
+// { collection, done } once a collection is exhausted.
+async function* listChildren(db, options, checkpoint) {
+  const since = options.activeDays ? new Date(Date.now() - options.activeDays * DAY_MS) : null;
+
+  if (options.source === 'profiles') {
+    const { name } = getKindCollection('profile');
+    let query = db.collection(name);
+    if (options.parent) {
+      query = query.where('parentId', '==', options.parent);
+    }
+
+    const pages = pageDocuments(query, {
+      orderBy: [DOCUMENT_ID],
+      cursor: checkpoint.cursors[name],
+      pageSize: options.pageSize
+    });
+    for await (const { data, cursor } of pages) {
+      const inactive = since && data.childId && !(await hasRecentActivity(db, data.childId, since));
+      yield { parentId: data.parentId, childId: data.childId, inactive, position: { collection: name, cursor } };
+    }
+    return;
+  }
+
+  for (const config of getActivityCollections()) {
+    if (checkpoint.done.includes(config.name)) continue;
+
+    const { timeField } = config.daylog;
+    let query = db.collection(config.name);
+    if (options.parent) {
+      query = query.where('parentId', '==', options.parent);
+    }
+    if (since) {
+      query = query.where(timeField, '>=', since);
+    }
+
+    const pages = pageDocuments(query, {
+      orderBy: since ? [timeField, DOCUMENT_ID] : [DOCUMENT_ID],
+      timeFields: [timeField],
+      cursor: checkpoint.cursors[config.name],
+      pageSize: options.pageSize
+    });
+    for await (const { data, cursor } of pages) {
+      yield { parentId: data.parentId, childId: data.childId, inactive: false, position: { collection: config.name, cursor } };
+    }
+    yield { position: { collection: config.name, done: true } };
+  }
+}
+
+// Waits so that calls are at most `perSecond` per second apart
+function createPacer(perSecond) {
+  let next = 0;
+  return async () => {
+    if (!perSecond) return;
+    const now = Date.now();
+    const wait = next - now;
+    next = Math.max(now, next) + 1000 / perSecond;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  };
+}
+
+function checkpointKey(run) {
+  return namespaceKey(`backfill:${run}`);
+}
+
+function seenKey(run) {
+  return namespaceKey(`backfill:${run}:seen`);
+}
+
+// The stored checkpoint of a run, or a fresh one. A checkpoint made with
+// other filters cannot be resumed with these.
+async function loadCheckpoint(client, options) {
+  const filters = { source: options.source, parent: options.parent || null, activeDays: options.activeDays || null };
+  const fresh = {
+    filters,
+    cursors: {},
+    done: [],
+    // Pairs that failed, retried on resume
+    failed: [],
+    counts: { found: 0, warmed: 0, skipped: 0, failed: 0 },
+    startedAt: new Date().toISOString()
+  };
+  if (options.restart) {
+    if (!options.dryRun) {
+      await client.del(seenKey(options.run));
+    }
+    return fresh;
+  }
+
+  const stored = await client.get(checkpointKey(options.run));
+  if (!stored) {
+    return fresh;
+  }
+  const checkpoint = JSON.parse(stored);
+  if (JSON.stringify(checkpoint.filters) !== JSON.stringify(filters)) {
+    throw new Error(`Checkpoint ${checkpointKey(options.run)} was made with ${JSON.stringify(checkpoint.filters)}; ` +
+      'use --restart or another --run name');
+  }
+  return { failed: [], ...checkpoint };
+}
+
+async function saveCheckpoint(client, run, checkpoint) {
+  checkpoint.updatedAt = new Date().toISOString();
+  await client.set(checkpointKey(run), JSON.stringify(checkpoint), {
+    expiration: { type: 'EX', value: CHECKPOINT_TTL_SECONDS }
+  });
+  await client.expire(seenKey(run), CHECKPOINT_TTL_SECONDS);
+}
+
+function reportProgress(checkpoint, startedMs) {
+  const { found, warmed, skipped, failed } = checkpoint.counts;
+  const seconds = (Date.now() - startedMs) / 1000;
+  const rate = seconds > 0 ? ((warmed + failed) / seconds).toFixed(1) : '-';
+  console.log(`Progress: ${found} found, ${warmed} warmed, ${skipped} skipped, ${failed} failed (${rate}/s)`);
+}
+
+// Run a backfill. warmChild(parentId, childId) refreshes one child.
+// Resolves to the counts of the run, including earlier runs it resumes.
+async function runBackfill(db, client, warmChild, options) {
+  options = { rate: DEFAULT_RATE, pageSize: DEFAULT_PAGE_SIZE, ...options, run: options.run || options.source };
+  const checkpoint = await loadCheckpoint(client, options);
+  const { counts } = checkpoint;
+  const pace = createPacer(options.rate);
+  const startedMs = Date.now();
+  // The activity source sees each child many times. A dry run only
+  // remembers the children it listed itself.
+  const listed = new Set();
+  let processed = 0;
+  let unsaved = 0;
+  let stopped = false;
+
+  // Resolves to true the first time a pair is seen in the run
+  const firstSighting = async (pair) => {
+    if (options.source !== 'activity') return true;
+    if (options.dryRun) {
+      if (listed.has(pair)) return false;
+      listed.add(pair);
+      return true;
+    }
+    return await client.sAdd(seenKey(options.run), pair) === 1;
+  };
+
+  const save = async () => {
+    if (options.dryRun) return;
+    await saveCheckpoint(client, options.run, checkpoint);
+    unsaved = 0;
+  };
+
+  // Resolves to true if the child was warmed
+  const warm = async (parentId, childId) => {
+    await pace();
+    processed++;
+    try {
+      await warmChild(parentId, childId);
+      return true;
+    } catch (error) {
+      console.error(`Failed to warm parent: ${parentId}, child: ${childId}:`, error.message);
+      return false;
+    }
+  };
+
+  // Children that failed in an earlier run go first
+  if (checkpoint.failed.length > 0 && !options.dryRun) {
+    console.log(`Retrying ${checkpoint.failed.length} children that failed earlier`);
+    const retried = [];
+    for (const { parentId, childId } of checkpoint.failed) {
+      if (options.limit && processed >= options.limit) {
+        retried.push({ parentId, childId });
+      } else if (await warm(parentId, childId)) {
+        counts.failed--;
+        counts.warmed++;
+      } else {
+        retried.push({ parentId, childId });
+      }
+    }
+    checkpoint.failed = retried;
+    await save();
+  }
+
+  if (checkpoint.completedAt) {
+    console.log(`Run ${options.run} completed at ${checkpoint.completedAt}; use --restart to run it again`);
+    return counts;
+  }
+
+  for await (const { parentId, childId, inactive, position } of listChildren(db, options, checkpoint)) {
+    if (options.limit && processed >= options.limit) {
+      console.log(`Stopped after ${processed} children; run again to continue`);
+      stopped = true;
+      break;
+    }
+
+    if (position.done) {
+      checkpoint.done.push(position.collection);
+    } else {
+      checkpoint.cursors[position.collection] = position.cursor;
+      unsaved++;
+    }
+
+    if (!position.done && await firstSighting(`${parentId}:${childId}`)) {
+      counts.found++;
+
+      if (!parentId || !childId) {
+        counts.skipped++;
+        console.warn(`Skipping ${position.collection} document without parentId or childId`);
+      } else if (inactive) {
+        counts.skipped++;
+      } else if (options.dryRun) {
+        console.log(`Would warm parent: ${parentId}, child: ${childId}`);
+        processed++;
+      } else if (await warm(parentId, childId)) {
+        counts.warmed++;
+      } else {
+        counts.failed++;
+        checkpoint.failed.push({ parentId, childId });
+      }
+
+      if (processed > 0 && processed % options.pageSize === 0) {
+        reportProgress(checkpoint, startedMs);
+      }
+    }
+
+    if (position.done || unsaved >= options.pageSize) {
+      await save();
+    }
+  }
+
+  if (!stopped) {
+    checkpoint.completedAt = new Date().toISOString();
+  }
+  await save();
+
+  reportProgress(checkpoint, startedMs);
+  return counts;
+}
+
+module.exports = { runBackfill };
+
+if (require.main === module) {
+  loadEnvFile();
+
+  const admin = require('firebase-admin');
+  const { warmChildCache, getRedisClient, closeRedisClient } = require('./index');
+
+  (async () => {
+    try {
+      const options = parseArgs(process.argv.slice(2));
+      const client = await getRedisClient();
+      const counts = await runBackfill(admin.firestore(), client, warmChildCache, options);
+      console.log(`${options.dryRun ? 'Dry run: ' : ''}backfill ${options.run || options.source}:`, counts);
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 1;
+    } finally {
+      await closeRedisClient().catch(() => {});
+      process.exit();
+    }
+  })();
+}
@@ -0,0 +1,213 @@
+// Versioned key schema for the cache: the one place key names and value
+// shapes are built and read, for writers (index.js), readers (cache-reader.js)
+// and tools (check-redis.js, migrate-cache-keys.js).
+//
+// Key templates and TTLs come from the collection registry. Each schema
+// version names keys and shapes values its own way:
+//
+//   1  legacy - the unprefixed templates ("summary:{childId}") with the
+//      per-key shapes the README documented before versioning
+//   2  current - "v2:" + template, and one envelope for every key:
+//      { schemaVersion: 2, data, timeZone, sourceVersion, lastUpdated,
+//        eventSource, stale, lastSuccessAt, lastError, expiresAt, ... }
+//
+// Writers always write SCHEMA_VERSION. They also write version 1, for readers
+// that have not been upgraded yet, until CACHE_DUAL_WRITE_LEGACY=false. Readers
+// try SCHEMA_VERSION first and fall back to version 1, so readers and writers
+// can be deployed in either order.
+//
+// In code, an entry is the version 2 envelope without schemaVersion;
+// encodeEntry/decodeEntry convert between entries and stored values.
+//
+// Keys of every version are prefixed with the key namespace (key-namespace.js):
+// the collection's keyNamespace, else CACHE_KEY_NAMESPACE.
+
+const { listCollections, formatKey } = require('./collection-registry');
+const { compareAndSet } = require('./cache-versioning');
+const { serializeForRedis } = require('./firestore-values');
+const { getKeyNamespace, namespaceKey } = require('./key-namespace');
+
+const SCHEMA_VERSION = 2;
+const LEGACY_SCHEMA_VERSION = 1;
+
+// On unless turned off: a deployment without the variable must not strand
+// readers still on version 1
+function isDualWriteEnabled() {
+  return process.env.CACHE_DUAL_WRITE_LEGACY !== 'false';
+}
+
+// Versions written on every update, current first
+function getWriteVersions() {
+  return isDualWriteEnabled() ? [SCHEMA_VERSION, LEGACY_SCHEMA_VERSION] : [SCHEMA_VERSION];
+}
+
+// Versions read, in order of preference
+function getReadVersions() {
+  return [SCHEMA_VERSION, LEGACY_SCHEMA_VERSION];
+}
+
+// Namespace a collection's cache data keys live in: its keyNamespace, else
+// CACHE_KEY_NAMESPACE (the bookkeeping keys always use CACHE_KEY_NAMESPACE)
+function getCollectionNamespace(config) {
+  return getKeyNamespace(typeof config.keyNamespace === 'string' ? config.keyNamespace : process.env.CACHE_KEY_NAMESPACE);
+}
+
+// Full key template of a collection's key in a schema version, namespace included
+function versionedTemplate(config, keyName, version) {
+  const template = config.keys[keyName].key;
+  const versioned = version === LEGACY_SCHEMA_VERSION ? template : `v${version}:${template}`;
+  return namespaceKey(versioned, getCollectionNamespace(config));
+}
+
+// A registry collection of a kind. Collections of one kind share their key
+// templates, so this names the kind's keys for callers without a collection
+// (readers, timezone lookups).
+function getKindCollection(kind) {
+  const config = listCollections().find(collection => collection.kind === kind);
+  if (!config) {
+    throw new Error(`Collection registry has no ${kind} collection`);
+  }
+  return config;
+}
+
+// Key and TTL for one of a collection's declared keys
+function getCacheKey(config, keyName, params, version = SCHEMA_VERSION) {
+  const keyConfig = config.keys[keyName];
+  if (!keyConfig) {
+    throw new Error(`Collection "${config.name}" declares no "${keyName}" key`);
+  }
+
+  return {
+    key: formatKey(versionedTemplate(config, keyName, version), { collection: config.name, ...params }),
+    ttl: keyConfig.ttl
+  };
+}
+
+// The key in every readable version, current first (for deletes)
+function getAllVersionKeys(config, keyName, params) {
+  return getReadVersions().map(version => getCacheKey(config, keyName, params, version).key);
+}
+
+// Regex matching a collection's keys of one name and version, capturing the
+// template parameters: "parent:{parentId}:child:{childId}" -> parentId, childId
+function getKeyMatcher(config, keyName, version = SCHEMA_VERSION) {
+  const source = versionedTemplate(config, keyName, version)
+    .replace(/\{collection\}/g, config.name)
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{(\w+)\}/g, '(?<$1>[^:]+)');
+  return new RegExp(`^${source}$`);
+}
+
+// Version 1 stored the payload of these keys under their own field name
+const LEGACY_DATA_FIELDS = {
+  parentChildProfile: 'profile',
+  limited: 'eventData'
+};
+
+// Version 1 fields kept next to the payload, per key
+const LEGACY_FIELDS = {
+  summary: ['timeZone', 'sourceVersion', 'stale', 'lastSuccessAt', 'lastError', 'expiresAt'],
+  daylog: ['timeZone', 'sourceVersion', 'stale', 'lastSuccessAt', 'lastError', 'expiresAt'],
+  parentChild: ['timeZone', 'sourceVersion', 'lastUpdated', 'eventSource', 'stale', 'lastSuccessAt', 'lastError'],
+  profile: ['timeZone', 'sourceVersion', 'expiresAt'],
+  parentChildProfile: ['timeZone', 'sourceVersion', 'lastUpdated', 'eventSource'],
+  limited: ['sourceVersion', 'lastUpdated', 'eventSource', 'processingMode']
+};
+
+// Entry -> value stored under a key of the given version
+function encodeEntry(keyName, entry, version = SCHEMA_VERSION) {
+  if (version !== LEGACY_SCHEMA_VERSION) {
+    return { schemaVersion: version, ...entry };
+  }
+
+  const value = {};
+  if (keyName === 'parentChild') {
+    // The summary and day log sat at the top level
+    Object.assign(value, entry.data);
+  } else {
+    value[LEGACY_DATA_FIELDS[keyName] || 'data'] = entry.data;
+  }
+  for (const field of LEGACY_FIELDS[keyName] || []) {
+    if (entry[field] !== undefined) {
+      value[field] = entry[field];
+    }
+  }
+  return value;
+}
+
+// Stored value (any version) -> entry
+function decodeEntry(keyName, value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+
+  if (typeof value.schemaVersion === 'number') {
+    const { schemaVersion, ...entry } = value;
+    return entry;
+  }
+
+  if (keyName === 'parentChild') {
+    const { last7daySummary, currentDayLogs, ...rest } = value;
+    const data = {};
+    if (last7daySummary !== undefined) data.last7daySummary = last7daySummary;
+    if (currentDayLogs !== undefined) data.currentDayLogs = currentDayLogs;
+    return { ...rest, data };
+  }
+
+  const dataField = LEGACY_DATA_FIELDS[keyName] || 'data';
+  const { [dataField]: data, ...fields } = value;
+  return { ...fields, data };
+}
+
+// Read an entry, from the first version that has the key.
+// Resolves to { entry, key, version }, or null on a miss.
+async function readEntry(client, config, keyName, params, { versions = getReadVersions() } = {}) {
+  for (const version of versions) {
+    const { key } = getCacheKey(config, keyName, params, version);
+    const stored = await client.get(key);
+    if (stored === null) continue;
+
+    let entry = null;
+    try {
+      entry = decodeEntry(keyName, JSON.parse(stored));
+    } catch (e) {
+      console.warn(`Ignoring cache value that is not JSON: ${key}`);
+    }
+    if (entry) {
+      return { entry, key, version };
+    }
+  }
+  return null;
+}
+
+// Compare-and-set an entry in every write version. `ttl` defaults to the
+// registry TTL; pass 'KEEPTTL' to keep the current expiry.
+// Resolves to the keys that were written.
+async function writeEntry(client, config, keyName, params, entry, { ttl, versions = getWriteVersions() } = {}) {
+  const written = [];
+  for (const version of versions) {
+    const { key, ttl: registryTtl } = getCacheKey(config, keyName, params, version);
+    const value = serializeForRedis(encodeEntry(keyName, entry, version));
+    if (await compareAndSet(client, key, value, entry.sourceVersion || '', ttl || registryTtl)) {
+      written.push(key);
+    }
+  }
+  return written;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  LEGACY_SCHEMA_VERSION,
+  isDualWriteEnabled,
+  getWriteVersions,
+  getReadVersions,
+  getKindCollection,
+  getCollectionNamespace,
+  getCacheKey,
+  getAllVersionKeys,
+  getKeyMatcher,
+  encodeEntry,
+  decodeEntry,
+  readEntry,
+  writeEntry
+};
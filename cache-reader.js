@@ -0,0 +1,186 @@
+// Read side of the cache, for backends that consume it. Key names and value
+// shapes come from cache-keys.js, so callers never build keys or unwrap
+// envelopes, and keep working across schema versions:
+//
+//   const { createCacheReader } = require('./cache-reader');
+//   const reader = createCacheReader(redisClient, { readThrough: true });
+//   const summary = await reader.getSummary(childId, { parentId });
+//   const context = await reader.getChildContext(parentId, childId);
+//
+// Every getter resolves to null on a miss. With readThrough, a miss is filled
+// from the upstream API instead (when a parentId is known, which the auth
+// token needs) and the result is written back in the same shape the triggers
+// write. Upstream failures during read-through are thrown as typed errors.
+//
+// Entries come back as { data, timeZone, stale, lastSuccessAt, lastError, source },
+// where source is 'cache' or 'upstream'.
+
+const { getKindCollection, getCacheKey, readEntry, writeEntry } = require('./cache-keys');
+const { currentSourceVersion } = require('./cache-versioning');
+const { getDefaultTimeZone, extractTimeZone } = require('./timezone');
+const { getCachedToken, cacheToken, invalidateCachedToken } = require('./token-cache');
+const { requestAuthToken, requestSummary, requestCurrentLogs, requestChildProfile } = require('./upstream-client');
+const { UpstreamAuthError } = require('./errors');
+
+function toResult(data, entry, source) {
+  return {
+    data,
+    timeZone: entry.timeZone || null,
+    stale: entry.stale === true,
+    lastSuccessAt: entry.lastSuccessAt || entry.lastUpdated || null,
+    lastError: entry.lastError || null,
+    source
+  };
+}
+
+// Entry of a kind's key, or null on a miss
+async function read(client, kind, keyName, params) {
+  const found = await readEntry(client, getKindCollection(kind), keyName, params);
+  return found ? found.entry : null;
+}
+
+function createCacheReader(client, { readThrough = false } = {}) {
+  // Token for read-through calls, shared with the token cache of this instance
+  async function getToken(parentId, { forceRefresh = false } = {}) {
+    if (!forceRefresh) {
+      const cachedToken = await getCachedToken(parentId, client);
+      if (cachedToken) {
+        return cachedToken;
+      }
+    }
+
+    const response = await requestAuthToken(parentId);
+    if (!response.data || !response.data.token) {
+      throw new UpstreamAuthError('API response missing token field', { reasonCode: 'token_missing' });
+    }
+    await cacheToken(parentId, response.data.token, client);
+    return response.data.token;
+  }
+
+  // Run an authenticated call, retrying once with a new token after a 401
+  async function withToken(parentId, call) {
+    try {
+      return await call(await getToken(parentId));
+    } catch (error) {
+      if (!error.response || error.response.status !== 401) {
+        throw error;
+      }
+      await invalidateCachedToken(parentId, client);
+      return call(await getToken(parentId, { forceRefresh: true }));
+    }
+  }
+
+  // Timezone for read-through requests: the cached profile, then the default
+  async function getTimeZone(childId) {
+    const profile = await read(client, 'profile', 'profile', { childId });
+    return (profile && (extractTimeZone(profile) || extractTimeZone(profile.data))) || getDefaultTimeZone();
+  }
+
+  // Fetch a value from the API and cache it under its key, like the writers do.
+  // The version is taken before the call, so an event for a document written
+  // after the fetch still replaces what is cached here.
+  async function fillFromUpstream(kind, keyName, params, fetch) {
+    const config = getKindCollection(kind);
+    const sourceVersion = currentSourceVersion();
+    const { data, timeZone } = await fetch();
+    const lastSuccessAt = new Date().toISOString();
+
+    const entry = {
+      data,
+      timeZone,
+      sourceVersion,
+      lastUpdated: lastSuccessAt,
+      eventSource: 'read_through',
+      ...(kind === 'activity' ? { stale: false, lastSuccessAt } : {}),
+      expiresAt: Date.now() + getCacheKey(config, keyName, params).ttl * 1000
+    };
+    await writeEntry(client, config, keyName, params, entry);
+
+    return toResult(data, entry, 'upstream');
+  }
+
+  // summary:{childId}
+  async function getSummary(childId, { parentId } = {}) {
+    const cached = await read(client, 'activity', 'summary', { childId });
+    if (cached) {
+      return toResult(cached.data, cached, 'cache');
+    }
+    if (!readThrough || !parentId) {
+      return null;
+    }
+
+    return fillFromUpstream('activity', 'summary', { childId }, async () => {
+      const timeZone = await getTimeZone(childId);
+      const response = await withToken(parentId, token => requestSummary(parentId, childId, timeZone, token));
+      return { data: response.data, timeZone };
+    });
+  }
+
+  // daylog:{childId}
+  async function getDayLog(childId, { parentId } = {}) {
+    const cached = await read(client, 'activity', 'daylog', { childId });
+    if (cached) {
+      return toResult(cached.data, cached, 'cache');
+    }
+    if (!readThrough || !parentId) {
+      return null;
+    }
+
+    return fillFromUpstream('activity', 'daylog', { childId }, async () => {
+      const timeZone = await getTimeZone(childId);
+      const response = await withToken(parentId, token => requestCurrentLogs(childId, timeZone, token));
+      return { data: response.data, timeZone };
+    });
+  }
+
+  // profile:{childId}
+  async function getProfile(childId, { parentId } = {}) {
+    const cached = await read(client, 'profile', 'profile', { childId });
+    if (cached) {
+      return toResult(cached.data, cached, 'cache');
+    }
+    if (!readThrough || !parentId) {
+      return null;
+    }
+
+    return fillFromUpstream('profile', 'profile', { childId }, async () => {
+      const response = await withToken(parentId, token => requestChildProfile(childId, token));
+      return { data: response.data, timeZone: extractTimeZone(response.data) || getDefaultTimeZone() };
+    });
+  }
+
+  // Everything cached for a parent-child pair. The per-pair keys
+  // (parent:... and profile:parent:...) are read first; whatever they lack
+  // comes from the per-child keys (and read-through, if enabled).
+  async function getChildContext(parentId, childId) {
+    const [activity, parentProfile] = await Promise.all([
+      read(client, 'activity', 'parentChild', { parentId, childId }),
+      read(client, 'profile', 'parentChildProfile', { parentId, childId })
+    ]);
+    const activityData = (activity && activity.data) || {};
+
+    const [summary, dayLog, profile] = await Promise.all([
+      activityData.last7daySummary !== undefined
+        ? toResult(activityData.last7daySummary, activity, 'cache')
+        : getSummary(childId, { parentId }),
+      activityData.currentDayLogs !== undefined
+        ? toResult(activityData.currentDayLogs, activity, 'cache')
+        : getDayLog(childId, { parentId }),
+      parentProfile && parentProfile.data !== undefined
+        ? toResult(parentProfile.data, parentProfile, 'cache')
+        : getProfile(childId, { parentId })
+    ]);
+
+    const timeZone = [profile, summary, dayLog].map(entry => entry && entry.timeZone).find(Boolean) || null;
+    return { parentId, childId, timeZone, summary, dayLog, profile };
+  }
+
+  return {
+    getSummary,
+    getDayLog,
+    getProfile,
+    getChildContext
+  };
+}
+
+module.exports = { createCacheReader };
@@ -0,0 +1,98 @@
+// Out-of-order protection for cache writes.
+//
+// Eventarc with --retry can deliver an older event after a newer one. Every
+// cache value therefore carries the `sourceVersion` it was computed from, and
+// writes go through a Lua compare-and-set that refuses to replace a value
+// carrying a newer version. Versions are fixed-width strings, so Lua can
+// compare them as plain strings:
+//   "<seconds, 12 digits>.<nanoseconds, 9 digits>"
+// derived from the source document's updateTime (or the event time for deletes).
+
+// Write ARGV[1] to KEYS[1] unless the stored value has a newer sourceVersion.
+// ARGV[2] = version of the new value, ARGV[3] = TTL in seconds or 'KEEPTTL'.
+// Values that are not JSON or carry no version (older writers) are replaced.
+const COMPARE_AND_SET_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current then
+  local ok, decoded = pcall(cjson.decode, current)
+  if ok and type(decoded) == 'table' and type(decoded.sourceVersion) == 'string'
+    and decoded.sourceVersion > ARGV[2] then
+    return 0
+  end
+end
+if ARGV[3] == 'KEEPTTL' then
+  redis.call('SET', KEYS[1], ARGV[1], 'KEEPTTL')
+else
+  redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[3])
+end
+return 1
+`;
+
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d{1,9}))?(Z|[+-]\d{2}:\d{2})$/;
+
+// RFC 3339 timestamp (up to nanosecond precision) -> sortable version string
+function toSourceVersion(timestamp) {
+  const match = typeof timestamp === 'string' ? TIMESTAMP_PATTERN.exec(timestamp) : null;
+  if (!match) {
+    return null;
+  }
+
+  const millis = Date.parse(`${match[1]}${match[3]}`);
+  if (Number.isNaN(millis) || millis < 0) {
+    return null;
+  }
+
+  const seconds = String(Math.floor(millis / 1000)).padStart(12, '0');
+  const nanos = (match[2] || '').padEnd(9, '0');
+  return `${seconds}.${nanos}`;
+}
+
+// Version for the current moment, used when an event carries no usable time
+function currentSourceVersion() {
+  return toSourceVersion(new Date().toISOString());
+}
+
+// Pick the version an event's cache writes are stamped with:
+// the document's updateTime, else the CloudEvent time (deletes have no
+// updateTime), else now
+function getEventSourceVersion(cloudEvent, eventData, eventType) {
+  const document = eventType === 'deleted'
+    ? null
+    : eventData && eventData.value;
+
+  return toSourceVersion(document && document.updateTime) ||
+    toSourceVersion(cloudEvent && cloudEvent.time) ||
+    currentSourceVersion();
+}
+
+// The newer of two versions (either may be null)
+function maxSourceVersion(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+// Compare-and-set write. Resolves to true if written, false if the stored
+// value was newer. `ttl` is seconds, or 'KEEPTTL' to keep the current expiry.
+async function compareAndSet(client, key, serializedValue, sourceVersion, ttl) {
+  const result = await client.eval(COMPARE_AND_SET_SCRIPT, {
+    keys: [key],
+    arguments: [serializedValue, sourceVersion, String(ttl)]
+  });
+
+  if (result !== 1) {
+    console.warn(`Skipped write to ${key}: cached value is newer than version ${sourceVersion}`);
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  COMPARE_AND_SET_SCRIPT,
+  toSourceVersion,
+  currentSourceVersion,
+  getEventSourceVersion,
+  maxSourceVersion,
+  compareAndSet
+};
@@ -1,75 +1,215 @@
-const redis = require('redis');
+// Inspect the Redis cache for one child or parent.
+//
+//   node check-redis.js --child <childId> [--json] [--namespace <template>]
+//   node check-redis.js --parent <parentId> [--json] [--namespace <template>]
+//
+// Keys are looked up in the configured key namespace (a collection's own
+// keyNamespace, else CACHE_KEY_NAMESPACE); --namespace inspects another one for
+// every collection, e.g. "staging:{project}" on a cluster shared between
+// environments.
+//
+// Prints every cached key for the child (summary, day log, parent-child,
+// profile, profile per parent, limited) with TTL, size, lastUpdated,
+// eventSource, staleness and schema version. For a parent, the keys of every
+// child found under that parent are included. Keys of every readable schema
+// version are listed (see cache-keys.js), and keys with wildcards are found
+// with SCAN on every master node, never KEYS. IDs are escaped in SCAN patterns,
+// so an ID containing * ? or [ ] matches only itself.
 
-async function checkRedisData() {
-  let client;
-  
-  try {
-    // Create Redis client
-    client = redis.createClient({
-      socket: {
-        host: process.env.REDIS_HOST || '10.128.0.2',
-        port: parseInt(process.env.REDIS_PORT || '6379')
+const { listCollections } = require('./collection-registry');
+const { getReadVersions, getCacheKey, getKeyMatcher } = require('./cache-keys');
+const { scanKeys, escapeGlob } = require('./redis-scan');
+const { loadEnvFile, createRedisClient } = require('./cli-support');
+
+function parseArgs(argv) {
+  const options = { json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') {
+      options.json = true;
+    } else if (argv[i] === '--child' && argv[i + 1]) {
+      options.childId = argv[++i];
+    } else if (argv[i] === '--parent' && argv[i + 1]) {
+      options.parentId = argv[++i];
+    } else if (argv[i] === '--namespace' && argv[i + 1]) {
+      options.namespace = argv[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+  }
+
+  if (!options.childId === !options.parentId) {
+    throw new Error('Usage: node check-redis.js (--child <childId> | --parent <parentId>) [--json] [--namespace <template>]');
+  }
+  return options;
+}
+
+// Every declared key of every collection, in every readable schema version.
+// A namespace template replaces every collection's own, so the keys resolve
+// through getCollectionNamespace like the writers' do.
+function keyDefinitions(namespace) {
+  const definitions = [];
+  for (const collection of listCollections()) {
+    const config = namespace === undefined ? collection : { ...collection, keyNamespace: namespace };
+    for (const keyName of Object.keys(config.keys)) {
+      for (const version of getReadVersions()) {
+        definitions.push({ config, keyName, version });
       }
-    });
-    
-    client.on('error', (err) => {
-      console.error('Redis Client Error:', err);
-    });
-    
-    await client.connect();
-    console.log('Connected to Redis');
-    
-    // Check for test keys
-    const testKeys = [
-      'TEST_summary:test-child-456',
-      'TEST_daylog:test-child-456',
-      'TEST_parent:test-parent-123:child:test-child-456'
-    ];
-    
-    console.log('\nChecking for test keys in Redis:');
-    console.log('================================');
-    
-    for (const key of testKeys) {
-      const exists = await client.exists(key);
-      if (exists) {
-        const value = await client.get(key);
-        const ttl = await client.ttl(key);
-        console.log(`\nKey: ${key}`);
-        console.log(`Exists: YES`);
-        console.log(`TTL: ${ttl} seconds`);
-        console.log(`Value:`, JSON.parse(value));
-      } else {
-        console.log(`\nKey: ${key}`);
-        console.log(`Exists: NO`);
+    }
+  }
+  return definitions;
+}
+
+// Keys under a parent, and the children they belong to
+async function findParentKeys(client, parentId, namespace) {
+  const keys = new Set();
+  const childIds = new Set();
+  // Collections of one kind share key templates; scan each pattern once
+  const scanned = new Set();
+
+  for (const { config, keyName, version } of keyDefinitions(namespace)) {
+    if (!config.keys[keyName].key.includes('{parentId}')) continue;
+
+    const pattern = getCacheKey(config, keyName, { parentId: escapeGlob(parentId), childId: '*' }, version).key;
+    if (scanned.has(pattern)) continue;
+    scanned.add(pattern);
+    const matcher = getKeyMatcher(config, keyName, version);
+    for (const key of await scanKeys(client, pattern)) {
+      const match = matcher.exec(key);
+      // "parent:p*" also matches the keys of parent "p*x"
+      if (!match || match.groups.parentId !== parentId) continue;
+      keys.add(key);
+      if (match.groups.childId) {
+        childIds.add(match.groups.childId);
       }
     }
-    
-    // Also check for any TEST_ prefixed keys
-    console.log('\n\nSearching for all TEST_ prefixed keys:');
-    console.log('======================================');
-    const keys = await client.keys('TEST_*');
-    console.log(`Found ${keys.length} TEST_ keys:`, keys);
-    
-  } catch (error) {
-    console.error('Error checking Redis:', error);
-  } finally {
-    if (client) {
-      await client.quit();
-      console.log('\nDisconnected from Redis');
+  }
+
+  return { keys, childIds };
+}
+
+// Keys of a child: concrete keys are read as they are, keys under any parent
+// are found with SCAN
+async function findChildKeys(client, childId, namespace) {
+  const keys = new Set();
+  const scanned = new Set();
+
+  for (const { config, keyName, version } of keyDefinitions(namespace)) {
+    if (!config.keys[keyName].key.includes('{parentId}')) {
+      keys.add(getCacheKey(config, keyName, { childId }, version).key);
+      continue;
     }
+
+    const pattern = getCacheKey(config, keyName, { childId: escapeGlob(childId), parentId: '*' }, version).key;
+    if (scanned.has(pattern)) continue;
+    scanned.add(pattern);
+    (await scanKeys(client, pattern)).forEach(key => keys.add(key));
+  }
+  return keys;
+}
+
+async function describeKey(client, key) {
+  const value = await client.get(key);
+  if (value === null) {
+    return null;
   }
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(value);
+  } catch (e) {
+    // Not JSON - only TTL and size are reported
+  }
+  const fields = parsed && typeof parsed === 'object' ? parsed : {};
+
+  return {
+    key,
+    schemaVersion: parsed ? fields.schemaVersion || 1 : null,
+    ttl: await client.ttl(key),
+    size: Buffer.byteLength(value),
+    lastUpdated: fields.lastUpdated || fields.lastSuccessAt || null,
+    eventSource: fields.eventSource || null,
+    stale: fields.stale === true,
+    sourceVersion: fields.sourceVersion || null,
+    lastError: fields.lastError || null
+  };
+}
+
+function printTable(title, entries) {
+  console.log(`\n${title} - ${entries.length} key(s)`);
+  if (entries.length === 0) return;
+
+  const rows = entries.map(entry => [
+    entry.key,
+    entry.schemaVersion ? `v${entry.schemaVersion}` : '-',
+    entry.ttl === -1 ? 'none' : `${entry.ttl}s`,
+    `${entry.size}B`,
+    entry.lastUpdated || '-',
+    entry.eventSource || '-',
+    entry.stale ? `yes (${entry.lastError ? entry.lastError.message : 'no error recorded'})` : 'no'
+  ]);
+  const header = ['KEY', 'SCHEMA', 'TTL', 'SIZE', 'LAST UPDATED', 'SOURCE', 'STALE'];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const format = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(format(header));
+  rows.forEach(row => console.log(format(row)));
+}
+
+// Every live key of a child or a parent's children, described
+async function inspectKeys(client, { childId, parentId, namespace }) {
+  const keys = new Set();
+  let childIds = new Set();
+
+  if (parentId) {
+    const found = await findParentKeys(client, parentId, namespace);
+    found.keys.forEach(key => keys.add(key));
+    childIds = found.childIds;
+  } else {
+    childIds.add(childId);
+  }
+  for (const id of childIds) {
+    (await findChildKeys(client, id, namespace)).forEach(key => keys.add(key));
+  }
+
+  const entries = [];
+  for (const key of Array.from(keys).sort()) {
+    const entry = await describeKey(client, key);
+    if (entry) entries.push(entry);
+  }
+  return { childIds: Array.from(childIds), keys: entries };
 }
 
-// Load environment variables from env.yaml manually if needed
-const fs = require('fs');
-const yaml = require('js-yaml');
+async function inspect(options) {
+  const client = await createRedisClient();
 
-try {
-  const envContent = fs.readFileSync('./env.yaml', 'utf8');
-  const envVars = yaml.load(envContent);
-  Object.assign(process.env, envVars);
-} catch (e) {
-  console.log('Could not load env.yaml, using defaults');
+  try {
+    const { childIds, keys } = await inspectKeys(client, options);
+
+    const query = options.parentId ? { parentId: options.parentId } : { childId: options.childId };
+    if (options.json) {
+      console.log(JSON.stringify({ ...query, childIds, keys }, null, 2));
+    } else {
+      const title = options.parentId
+        ? `Parent ${options.parentId} (children: ${childIds.join(', ') || 'none'})`
+        : `Child ${options.childId}`;
+      printTable(title, keys);
+    }
+  } finally {
+    await client.quit();
+  }
 }
 
-checkRedisData();
\ No newline at end of file
+module.exports = { inspectKeys };
+
+if (require.main === module) {
+  loadEnvFile();
+
+  (async () => {
+    try {
+      await inspect(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 1;
+    }
+  })();
+}
@@ -0,0 +1,177 @@
+// Circuit breaker per upstream endpoint (token, summary, currentLogs,
+// childProfile), with its state shared by every instance through Redis.
+//
+//   closed    - calls go through; transient failures are counted
+//   open      - after CIRCUIT_FAILURE_THRESHOLD failures within
+//               CIRCUIT_FAILURE_WINDOW_MS, calls fail fast for CIRCUIT_OPEN_MS
+//   half-open - once the open period ends, a single instance sends a probe;
+//               success (or a client error such as a 404) closes the circuit,
+//               a transient failure opens it again
+//
+// Keys (in the key namespace) use a Redis Cluster hash tag ({endpoint}) so each
+// script's keys share a slot:
+//   circuit:{endpoint}:failures  - failure count in the current window
+//   circuit:{endpoint}:open      - present while the circuit is open
+//   circuit:{endpoint}:tripped   - present from opening until a probe succeeds
+//   circuit:{endpoint}:probe     - the half-open probe in flight
+
+const { UpstreamTransient } = require('./errors');
+const { namespaceKey } = require('./key-namespace');
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_FAILURE_WINDOW_MS = 30000;
+const DEFAULT_OPEN_MS = 30000;
+const DEFAULT_PROBE_TTL_MS = 15000;
+
+// Returns 'closed', 'open' or 'probe' (this caller is the half-open probe)
+const CHECK_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return 'open'
+end
+if redis.call('EXISTS', KEYS[2]) == 1 then
+  if redis.call('SET', KEYS[3], '1', 'NX', 'PX', ARGV[1]) then
+    return 'probe'
+  end
+  return 'open'
+end
+return 'closed'
+`;
+
+// Count a failure; open the circuit at the threshold, or straight away for a failed probe
+const FAILURE_SCRIPT = `
+local opened = false
+if ARGV[5] == '1' then
+  opened = true
+else
+  local failures = redis.call('INCR', KEYS[1])
+  if failures == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  end
+  opened = failures >= tonumber(ARGV[1])
+end
+if opened then
+  redis.call('SET', KEYS[2], '1', 'PX', ARGV[3])
+  redis.call('SET', KEYS[3], '1', 'PX', ARGV[4])
+  redis.call('DEL', KEYS[1], KEYS[4])
+  return 'open'
+end
+return 'closed'
+`;
+
+function getCircuitConfig() {
+  const openMs = parseInt(process.env.CIRCUIT_OPEN_MS || DEFAULT_OPEN_MS);
+  return {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || DEFAULT_FAILURE_THRESHOLD),
+    failureWindowMs: parseInt(process.env.CIRCUIT_FAILURE_WINDOW_MS || DEFAULT_FAILURE_WINDOW_MS),
+    openMs,
+    // Long enough that a quiet endpoint still has to pass a probe before closing
+    trippedTtlMs: openMs * 20,
+    probeTtlMs: DEFAULT_PROBE_TTL_MS
+  };
+}
+
+function circuitKeys(endpoint) {
+  const prefix = namespaceKey(`circuit:{${endpoint}}`);
+  return {
+    failures: `${prefix}:failures`,
+    open: `${prefix}:open`,
+    tripped: `${prefix}:tripped`,
+    probe: `${prefix}:probe`
+  };
+}
+
+// Only failures that say the upstream is unhealthy count towards opening
+function isCircuitFailure(error) {
+  if (!error.response) {
+    return true;
+  }
+  return error.response.status >= 500 || error.response.status === 429;
+}
+
+function circuitOpenError(endpoint) {
+  return new UpstreamTransient(`Circuit open for upstream endpoint ${endpoint}`, {
+    reasonCode: 'circuit_open',
+    code: 'CIRCUIT_OPEN',
+    endpoint
+  });
+}
+
+// Run `call` through the endpoint's circuit. Without Redis the breaker is
+// bypassed: it must never be the reason a healthy upstream call is refused.
+async function withCircuitBreaker(client, endpoint, call) {
+  if (!client) {
+    return call();
+  }
+
+  const config = getCircuitConfig();
+  const keys = circuitKeys(endpoint);
+
+  let state = 'closed';
+  try {
+    state = await client.eval(CHECK_SCRIPT, {
+      keys: [keys.open, keys.tripped, keys.probe],
+      arguments: [String(config.probeTtlMs)]
+    });
+  } catch (error) {
+    console.warn(`Circuit state for ${endpoint} unavailable, allowing call:`, error.message);
+  }
+
+  if (state === 'open') {
+    console.warn(`Circuit open for ${endpoint} - failing fast`);
+    throw circuitOpenError(endpoint);
+  }
+
+  const isProbe = state === 'probe';
+  if (isProbe) {
+    console.log(`Circuit half-open for ${endpoint} - sending probe request`);
+  }
+
+  // The probe got an answer that says nothing bad about the upstream's health
+  const closeAfterProbe = async (outcome) => {
+    await client.del([keys.tripped, keys.probe, keys.failures]).catch(() => {});
+    console.log(`Circuit closed for ${endpoint} after ${outcome} probe`);
+  };
+
+  try {
+    const result = await call();
+
+    if (isProbe) {
+      await closeAfterProbe('successful');
+    }
+
+    return result;
+  } catch (error) {
+    // A client error (400, 404, ...) does not reopen the circuit, even for a probe
+    if (isProbe && !isCircuitFailure(error)) {
+      await closeAfterProbe(`a ${error.response.status}`);
+    } else if (isCircuitFailure(error)) {
+      try {
+        const newState = await client.eval(FAILURE_SCRIPT, {
+          keys: [keys.failures, keys.open, keys.tripped, keys.probe],
+          arguments: [
+            String(config.failureThreshold),
+            String(config.failureWindowMs),
+            String(config.openMs),
+            String(config.trippedTtlMs),
+            isProbe ? '1' : '0'
+          ]
+        });
+        if (newState === 'open') {
+          console.error(`Circuit opened for ${endpoint} for ${config.openMs}ms`);
+        }
+      } catch (recordError) {
+        console.warn(`Could not record failure for ${endpoint}:`, recordError.message);
+      }
+    }
+
+    throw error;
+  }
+}
+
+module.exports = {
+  CHECK_SCRIPT,
+  FAILURE_SCRIPT,
+  withCircuitBreaker,
+  isCircuitFailure,
+  getCircuitConfig
+};
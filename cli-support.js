@@ -0,0 +1,40 @@
+// Setup shared by the command-line tools (check-redis.js,
+// migrate-cache-keys.js, backfill-cache.js, dlq-processor.js), which run
+// outside Cloud Functions and read their configuration from env.yaml.
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const redis = require('redis');
+
+// Load environment variables from env.yaml manually if needed
+function loadEnvFile(path = './env.yaml') {
+  try {
+    const envContent = fs.readFileSync(path, 'utf8');
+    const envVars = yaml.load(envContent);
+    Object.assign(process.env, envVars);
+  } catch (e) {
+    // Fall back to the environment
+  }
+}
+
+async function createRedisClient() {
+  const socket = {
+    host: process.env.REDIS_HOST || '10.128.0.2',
+    port: parseInt(process.env.REDIS_PORT || '6379')
+  };
+  const client = process.env.REDIS_CLUSTER_MODE === 'true'
+    ? redis.createCluster({ rootNodes: [{ socket }], defaults: { socket: { connectTimeout: 10000 } } })
+    : redis.createClient({ socket });
+
+  client.on('error', (err) => {
+    console.error('Redis Client Error:', err);
+  });
+
+  await client.connect();
+  return client;
+}
+
+module.exports = {
+  loadEnvFile,
+  createRedisClient
+};
@@ -0,0 +1,194 @@
+// Loads and validates collections.yaml, the single list of Firestore
+// collections this service syncs to Redis (see the comments in that file).
+// Trigger registration in index.js and the deploy scripts are generated from it.
+//
+// CLI (used by deploy.sh / deploy-test.sh):
+//   node collection-registry.js --deploy-list <group>
+// prints one line per collection in the group:
+//   <trigger> <collection> <maxInstances> <memory> <timeout>
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const KINDS = ['activity', 'profile', 'raw'];
+const UPSTREAM_CALLS = ['token', 'summary', 'currentLogs', 'childProfile'];
+
+// Keys each kind writes; a collection must declare all of them
+const KIND_KEYS = {
+  activity: ['summary', 'daylog', 'parentChild', 'limited'],
+  profile: ['profile', 'parentChildProfile'],
+  raw: ['limited']
+};
+
+// API calls each kind cannot work without
+const KIND_UPSTREAM = {
+  activity: ['token'],
+  profile: ['token', 'childProfile'],
+  raw: []
+};
+
+let registry = null;
+
+function getRegistryPath() {
+  return process.env.COLLECTION_REGISTRY_PATH || path.join(__dirname, 'collections.yaml');
+}
+
+// Check one collection entry and fill in defaults
+function validateCollection(name, entry) {
+  const problems = [];
+
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Collection registry: "${name}" must be a mapping`);
+  }
+  if (typeof entry.trigger !== 'string' || entry.trigger === '') {
+    problems.push('trigger must be a non-empty string');
+  }
+  if (!KINDS.includes(entry.kind)) {
+    problems.push(`kind must be one of ${KINDS.join(', ')}`);
+  }
+
+  const requiredFields = entry.requiredFields || ['childId'];
+  if (!Array.isArray(requiredFields) || !requiredFields.includes('childId')) {
+    problems.push('requiredFields must be a list that includes childId');
+  }
+
+  const upstream = entry.upstream || [];
+  const unknownCalls = upstream.filter(call => !UPSTREAM_CALLS.includes(call));
+  if (unknownCalls.length > 0) {
+    problems.push(`unknown upstream calls: ${unknownCalls.join(', ')}`);
+  }
+  const missingCalls = (KIND_UPSTREAM[entry.kind] || []).filter(call => !upstream.includes(call));
+  if (missingCalls.length > 0) {
+    problems.push(`${entry.kind} collections need upstream calls: ${missingCalls.join(', ')}`);
+  }
+
+  const keys = entry.keys || {};
+  for (const keyName of KIND_KEYS[entry.kind] || []) {
+    const keyConfig = keys[keyName];
+    if (!keyConfig || typeof keyConfig.key !== 'string') {
+      problems.push(`keys.${keyName}.key must be a key template`);
+    } else if (!Number.isInteger(keyConfig.ttl) || keyConfig.ttl <= 0) {
+      problems.push(`keys.${keyName}.ttl must be a positive number of seconds`);
+    }
+  }
+
+  if (entry.keyNamespace !== undefined && (typeof entry.keyNamespace !== 'string' || entry.keyNamespace === '')) {
+    problems.push('keyNamespace must be a non-empty string');
+  }
+
+  let daylog = null;
+  if (entry.daylog !== undefined) {
+    if (entry.kind !== 'activity') {
+      problems.push('daylog is only supported for activity collections');
+    } else if (!entry.daylog || typeof entry.daylog.bucket !== 'string' || entry.daylog.bucket === '') {
+      problems.push('daylog.bucket must be a non-empty string');
+    } else if (entry.daylog.timeField !== undefined && (typeof entry.daylog.timeField !== 'string' || entry.daylog.timeField === '')) {
+      problems.push('daylog.timeField must be a non-empty string');
+    } else {
+      daylog = { bucket: entry.daylog.bucket, timeField: entry.daylog.timeField || 'startTime' };
+    }
+  }
+
+  for (const listName of ['relevantFields', 'ignoredFields']) {
+    const list = entry[listName];
+    if (list !== undefined && (!Array.isArray(list) || list.length === 0 ||
+        !list.every(field => typeof field === 'string' && field !== ''))) {
+      problems.push(`${listName} must be a non-empty list of field paths`);
+    }
+  }
+  if (entry.relevantFields !== undefined && entry.ignoredFields !== undefined) {
+    problems.push('relevantFields and ignoredFields cannot be combined');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Collection registry: invalid entry "${name}": ${problems.join('; ')}`);
+  }
+
+  return {
+    name,
+    trigger: entry.trigger,
+    kind: entry.kind,
+    requiredFields,
+    upstream,
+    keys,
+    purgeOnDelete: entry.purgeOnDelete === true,
+    testData: entry.testData === true,
+    keyNamespace: entry.keyNamespace || null,
+    daylog,
+    relevantFields: entry.relevantFields || null,
+    ignoredFields: entry.ignoredFields || null,
+    deploy: entry.deploy || {}
+  };
+}
+
+// Load the registry once per instance
+function loadRegistry() {
+  if (registry) {
+    return registry;
+  }
+
+  const registryPath = getRegistryPath();
+  const parsed = yaml.load(fs.readFileSync(registryPath, 'utf8'));
+  if (!parsed || typeof parsed.collections !== 'object') {
+    throw new Error(`Collection registry ${registryPath} has no "collections" mapping`);
+  }
+
+  const collections = new Map();
+  const triggers = new Set();
+  for (const [name, entry] of Object.entries(parsed.collections)) {
+    const config = validateCollection(name, entry);
+    if (triggers.has(config.trigger)) {
+      throw new Error(`Collection registry: trigger "${config.trigger}" is used more than once`);
+    }
+    triggers.add(config.trigger);
+    collections.set(name, config);
+  }
+
+  registry = collections;
+  return registry;
+}
+
+function listCollections() {
+  return Array.from(loadRegistry().values());
+}
+
+function getCollectionConfig(collectionName) {
+  const config = loadRegistry().get(collectionName);
+  if (!config) {
+    throw new Error(`Collection "${collectionName}" is not in the collection registry`);
+  }
+  return config;
+}
+
+// Fill a key template such as "summary:{childId}"
+function formatKey(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (params[name] === undefined || params[name] === null) {
+      throw new Error(`Missing "${name}" for Redis key template ${template}`);
+    }
+    return String(params[name]);
+  });
+}
+
+module.exports = {
+  loadRegistry,
+  listCollections,
+  getCollectionConfig,
+  formatKey
+};
+
+if (require.main === module) {
+  const [flag, group] = process.argv.slice(2);
+
+  if (flag !== '--deploy-list' || !group) {
+    console.error('Usage: node collection-registry.js --deploy-list <group>');
+    process.exit(1);
+  }
+
+  for (const config of listCollections()) {
+    if (config.deploy.group !== group) continue;
+    const { maxInstances = 100, memory = '512MB', timeout = '120s' } = config.deploy;
+    console.log([config.trigger, config.name, maxInstances, memory, timeout].join(' '));
+  }
+}
@@ -0,0 +1,102 @@
+// Caps the number of upstream API requests in flight across all instances.
+// Slots live in a Redis sorted set (member = slot id, score = slot expiry), so
+// a slot held by a crashed instance is reclaimed once it expires. When no slot
+// frees up within UPSTREAM_CONCURRENCY_WAIT_MS the call fails with a retryable
+// error instead of adding to the pile of timeouts.
+
+const crypto = require('crypto');
+const { UpstreamTransient } = require('./errors');
+const { namespaceKey } = require('./key-namespace');
+
+const SLOTS_KEY = 'upstream:inflight';
+const DEFAULT_MAX_CONCURRENCY = 50;
+const DEFAULT_WAIT_MS = 5000;
+const DEFAULT_SLOT_TTL_MS = 30000;
+const POLL_INTERVAL_MS = 100;
+
+// Drop expired slots, then take one if the set is below the limit
+const ACQUIRE_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+if redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[2]) then
+  return 0
+end
+redis.call('ZADD', KEYS[1], ARGV[3], ARGV[4])
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+return 1
+`;
+
+function getConcurrencyConfig() {
+  return {
+    maxConcurrency: parseInt(process.env.UPSTREAM_MAX_CONCURRENCY || DEFAULT_MAX_CONCURRENCY),
+    waitMs: parseInt(process.env.UPSTREAM_CONCURRENCY_WAIT_MS || DEFAULT_WAIT_MS),
+    slotTtlMs: parseInt(process.env.UPSTREAM_SLOT_TTL_MS || DEFAULT_SLOT_TTL_MS)
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function concurrencyLimitError(maxConcurrency) {
+  return new UpstreamTransient(`Upstream concurrency limit of ${maxConcurrency} reached`, {
+    reasonCode: 'upstream_concurrency_limit',
+    code: 'UPSTREAM_CONCURRENCY_LIMIT'
+  });
+}
+
+// Run `call` once a slot is free. Without Redis (or with the limit set to 0)
+// calls are not limited.
+async function withConcurrencyLimit(client, call) {
+  const config = getConcurrencyConfig();
+  if (!client || config.maxConcurrency <= 0) {
+    return call();
+  }
+
+  const slotId = crypto.randomUUID();
+  const deadline = Date.now() + config.waitMs;
+  let acquired = false;
+
+  try {
+    while (!acquired) {
+      const now = Date.now();
+      acquired = await client.eval(ACQUIRE_SCRIPT, {
+        keys: [namespaceKey(SLOTS_KEY)],
+        arguments: [
+          String(now),
+          String(config.maxConcurrency),
+          String(now + config.slotTtlMs),
+          slotId,
+          String(config.slotTtlMs * 2)
+        ]
+      }) === 1;
+
+      if (!acquired) {
+        if (Date.now() + POLL_INTERVAL_MS > deadline) {
+          console.warn(`No upstream slot free after ${config.waitMs}ms`);
+          throw concurrencyLimitError(config.maxConcurrency);
+        }
+        await sleep(POLL_INTERVAL_MS);
+      }
+    }
+  } catch (error) {
+    if (error.code === 'UPSTREAM_CONCURRENCY_LIMIT') {
+      throw error;
+    }
+    console.warn('Upstream concurrency limiter unavailable, allowing call:', error.message);
+    return call();
+  }
+
+  try {
+    return await call();
+  } finally {
+    await client.zRem(namespaceKey(SLOTS_KEY), slotId).catch(error => {
+      console.warn('Failed to release upstream slot:', error.message);
+    });
+  }
+}
+
+module.exports = {
+  ACQUIRE_SCRIPT,
+  withConcurrencyLimit,
+  getConcurrencyConfig
+};
@@ -0,0 +1,172 @@
+// Incremental day log updates (DAYLOG_INCREMENTAL=true).
+//
+// Instead of refetching the whole current-logs payload on every activity write,
+// each event upserts its document into (or removes it from) its bucket in the
+// cached day log, keyed by document ID. The full getCurrentDayLogs fetch turns
+// into a reconciliation, run by the activity refresh when:
+//   - there is no incremental-ready day log for the child (first write, expiry)
+//   - the child's local day has changed since the last reconciliation
+//   - the day log is stale, or was cached in another timezone
+//   - DAYLOG_RECONCILE_SECONDS have passed since the last reconciliation
+//
+// Collections opt in with a `daylog` block in collections.yaml: the bucket
+// their documents go in and the document field holding the record's time.
+// Records are matched on `id`, the Firestore document ID, which is also how
+// the current-logs API identifies them.
+//
+// The day log entry (cache-keys.js, current schema only) carries:
+//   day               - local date ("YYYY-MM-DD") the log was reconciled for
+//   reconciledAt      - when the last full fetch was written
+//   reconciledVersion - sourceVersion that fetch covered; older events are ignored
+//   recordVersions    - document ID -> sourceVersion of the last change applied
+//   revision          - random token replaced on every write, for the
+//                       optimistic compare-and-set below
+
+const crypto = require('crypto');
+const { SCHEMA_VERSION, LEGACY_SCHEMA_VERSION, getWriteVersions, encodeEntry, readEntry, writeEntry } = require('./cache-keys');
+const { maxSourceVersion } = require('./cache-versioning');
+const { serializeForRedis } = require('./firestore-values');
+const { getLocalDate } = require('./timezone');
+
+const DEFAULT_RECONCILE_SECONDS = 900;
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Write ARGV[1] to KEYS[1], keeping its TTL, only if the stored value still
+// carries revision ARGV[2] (nobody wrote in between)
+const DAYLOG_UPDATE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then
+  return 0
+end
+local ok, decoded = pcall(cjson.decode, current)
+if not ok or type(decoded) ~= 'table' or decoded.revision ~= ARGV[2] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[1], 'KEEPTTL')
+return 1
+`;
+
+function getDaylogConfig() {
+  return {
+    incremental: process.env.DAYLOG_INCREMENTAL === 'true',
+    reconcileSeconds: parseInt(process.env.DAYLOG_RECONCILE_SECONDS || DEFAULT_RECONCILE_SECONDS)
+  };
+}
+
+function isIncrementalDaylog(collectionConfig) {
+  return getDaylogConfig().incremental && !!collectionConfig.daylog;
+}
+
+function newRevision() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Fields a full fetch of the day log is written with, in incremental mode
+function reconciledDaylogFields(timeZone, sourceVersion) {
+  return {
+    day: getLocalDate(timeZone),
+    reconciledAt: new Date().toISOString(),
+    reconciledVersion: sourceVersion,
+    recordVersions: {},
+    revision: newRevision()
+  };
+}
+
+// The cached day log, if it can stand in for a fetch right now; null when the
+// refresh has to reconcile with getCurrentDayLogs
+async function getReconciledDaylog(client, collectionConfig, childId, timeZone) {
+  if (!isIncrementalDaylog(collectionConfig)) {
+    return null;
+  }
+
+  const found = await readEntry(client, collectionConfig, 'daylog', { childId }, { versions: [SCHEMA_VERSION] });
+  const entry = found && found.entry;
+  if (!entry || !entry.revision || entry.stale || entry.timeZone !== timeZone) {
+    return null;
+  }
+  if (entry.day !== getLocalDate(timeZone)) {
+    return null;
+  }
+
+  const { reconcileSeconds } = getDaylogConfig();
+  if (Date.now() - Date.parse(entry.reconciledAt) >= reconcileSeconds * 1000) {
+    return null;
+  }
+  return entry;
+}
+
+// The bucket with the document upserted, or removed when record is null
+function applyToBucket(records, documentId, record) {
+  const index = records.findIndex(existing => existing && existing.id === documentId);
+  if (!record) {
+    return records.filter((existing, i) => i !== index);
+  }
+  if (index === -1) {
+    return [...records, record];
+  }
+  return records.map((existing, i) => i === index ? record : existing);
+}
+
+// Apply one document change to the cached day log.
+// Resolves to 'applied', 'outdated' (a newer change is already in),
+// 'reconcile' (there is no day log to update, the next refresh fetches it) or
+// 'conflict' (kept losing to concurrent writers; the next reconciliation
+// catches up). A removal is recorded in recordVersions even when the document
+// was not in the log, so an older change arriving late cannot bring it back.
+async function applyDaylogChange(client, collectionConfig, { childId, documentId, eventType, document, sourceVersion }) {
+  const { bucket, timeField } = collectionConfig.daylog;
+
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+    const found = await readEntry(client, collectionConfig, 'daylog', { childId }, { versions: [SCHEMA_VERSION] });
+    const entry = found && found.entry;
+    if (!entry || !entry.revision || !entry.timeZone || entry.day !== getLocalDate(entry.timeZone)) {
+      return 'reconcile';
+    }
+
+    const recordVersions = entry.recordVersions || {};
+    if (sourceVersion <= (entry.reconciledVersion || '') ||
+        sourceVersion <= (recordVersions[documentId] || '')) {
+      return 'outdated';
+    }
+
+    // Only records of the log's local day belong in it
+    const recordTime = eventType === 'deleted' ? null : document[timeField];
+    const isToday = recordTime !== undefined && recordTime !== null &&
+      !Number.isNaN(new Date(recordTime).getTime()) &&
+      getLocalDate(entry.timeZone, new Date(recordTime)) === entry.day;
+    const records = Array.isArray(entry.data && entry.data[bucket]) ? entry.data[bucket] : [];
+    const updated = {
+      ...entry,
+      data: { ...entry.data, [bucket]: applyToBucket(records, documentId, isToday ? { id: documentId, ...document } : null) },
+      sourceVersion: maxSourceVersion(entry.sourceVersion, sourceVersion),
+      lastUpdated: new Date().toISOString(),
+      recordVersions: { ...recordVersions, [documentId]: sourceVersion },
+      revision: newRevision()
+    };
+    const written = await client.eval(DAYLOG_UPDATE_SCRIPT, {
+      keys: [found.key],
+      arguments: [serializeForRedis(encodeEntry('daylog', updated)), entry.revision]
+    });
+    if (written !== 1) {
+      continue;
+    }
+
+    // Readers of the legacy schema get the same day log
+    const legacyVersions = getWriteVersions().filter(version => version === LEGACY_SCHEMA_VERSION);
+    if (legacyVersions.length > 0) {
+      await writeEntry(client, collectionConfig, 'daylog', { childId }, updated, { ttl: 'KEEPTTL', versions: legacyVersions });
+    }
+    return 'applied';
+  }
+
+  return 'conflict';
+}
+
+module.exports = {
+  DAYLOG_UPDATE_SCRIPT,
+  getDaylogConfig,
+  isIncrementalDaylog,
+  reconciledDaylogFields,
+  getReconciledDaylog,
+  applyDaylogChange
+};
@@ -7,120 +7,73 @@ set -e
 set -x
 
 # Deploy script for Firestore to Redis Cache Cloud Functions
+# One function is deployed per "production" collection in collections.yaml
 
 PROJECT_ID="coddle-d9a2b"
 REGION="us-central1"
+DEPLOY_GROUP="${DEPLOY_GROUP:-production}"
 
 # Install dependencies
 echo "Installing dependencies..."
 npm install
 
-# Deploy function for feedEvents collection
-gcloud functions deploy feedEventsTrigger \
-  --gen2 \
-  --runtime=nodejs20 \
-  --region=$REGION \
-  --source=. \
-  --entry-point=feedEventsTrigger \
-  --trigger-event-filters="type=google.cloud.firestore.document.v1.written" \
-  --trigger-event-filters="database=(default)" \
-  --trigger-event-filters-path-pattern="document=feedEvents/{docId}" \
-  --trigger-location=nam5 \
-  --env-vars-file=env.yaml \
-  --max-instances=100 \
-  --memory=512MB \
-  --timeout=120s \
-  --retry \
-  --vpc-connector=projects/coddle-d9a2b/locations/us-central1/connectors/default-vpc-connector
+# Read the collection registry up front so a broken registry fails before any deploy
+TRIGGERS=$(node collection-registry.js --deploy-list "$DEPLOY_GROUP")
 
-# Deploy function for diaperEvents collection
-gcloud functions deploy diaperEventsTrigger \
-  --gen2 \
-  --runtime=nodejs20 \
-  --region=$REGION \
-  --source=. \
-  --entry-point=diaperEventsTrigger \
-  --trigger-event-filters="type=google.cloud.firestore.document.v1.written" \
-  --trigger-event-filters="database=(default)" \
-  --trigger-event-filters-path-pattern="document=diaperEvents/{docId}" \
-  --trigger-location=nam5 \
-  --env-vars-file=env.yaml \
-  --max-instances=100 \
-  --memory=512MB \
-  --timeout=120s \
-  --retry \
-  --vpc-connector=projects/coddle-d9a2b/locations/us-central1/connectors/default-vpc-connector
+if [ -z "$TRIGGERS" ]; then
+  echo "No collections in deploy group $DEPLOY_GROUP"
+  exit 1
+fi
 
-# Deploy function for sleepEvents collection
-gcloud functions deploy sleepEventsTrigger \
-  --gen2 \
-  --runtime=nodejs20 \
-  --region=$REGION \
-  --source=. \
-  --entry-point=sleepEventsTrigger \
-  --trigger-event-filters="type=google.cloud.firestore.document.v1.written" \
-  --trigger-event-filters="database=(default)" \
-  --trigger-event-filters-path-pattern="document=sleepEvents/{docId}" \
-  --trigger-location=nam5 \
-  --env-vars-file=env.yaml \
-  --max-instances=100 \
-  --memory=512MB \
-  --timeout=120s \
-  --retry \
-  --vpc-connector=projects/coddle-d9a2b/locations/us-central1/connectors/default-vpc-connector
+# Deploy one function per collection: <trigger> <collection> <maxInstances> <memory> <timeout>
+while read -r TRIGGER COLLECTION MAX_INSTANCES MEMORY TIMEOUT; do
+  gcloud functions deploy "$TRIGGER" \
+    --gen2 \
+    --runtime=nodejs20 \
+    --region=$REGION \
+    --source=. \
+    --entry-point="$TRIGGER" \
+    --trigger-event-filters="type=google.cloud.firestore.document.v1.written" \
+    --trigger-event-filters="database=(default)" \
+    --trigger-event-filters-path-pattern="document=${COLLECTION}/{docId}" \
+    --trigger-location=nam5 \
+    --env-vars-file=env.yaml \
+    --max-instances="$MAX_INSTANCES" \
+    --memory="$MEMORY" \
+    --timeout="$TIMEOUT" \
+    --retry \
+    --vpc-connector=projects/coddle-d9a2b/locations/us-central1/connectors/default-vpc-connector
+done <<< "$TRIGGERS"
 
-# Deploy function for pumpingEvents collection
-gcloud functions deploy pumpingEventsTrigger \
-  --gen2 \
-  --runtime=nodejs20 \
-  --region=$REGION \
-  --source=. \
-  --entry-point=pumpingEventsTrigger \
-  --trigger-event-filters="type=google.cloud.firestore.document.v1.written" \
-  --trigger-event-filters="database=(default)" \
-  --trigger-event-filters-path-pattern="document=pumpingEvents/{docId}" \
-  --trigger-location=nam5 \
-  --env-vars-file=env.yaml \
-  --max-instances=100 \
-  --memory=512MB \
-  --timeout=120s \
-  --retry \
-  --vpc-connector=projects/coddle-d9a2b/locations/us-central1/connectors/default-vpc-connector
+# Scheduled refresh of recently active children: Cloud Scheduler publishes to a
+# Pub/Sub topic that triggers scheduledRefreshTrigger
+if [ "$DEPLOY_GROUP" = "production" ]; then
+  REFRESH_TOPIC="${SCHEDULED_REFRESH_TOPIC:-cache-scheduled-refresh}"
+  REFRESH_SCHEDULE="${SCHEDULED_REFRESH_SCHEDULE:-*/5 * * * *}"
 
-# Deploy function for child_profile collection
-gcloud functions deploy childProfileTrigger \
-  --gen2 \
-  --runtime=nodejs20 \
-  --region=$REGION \
-  --source=. \
-  --entry-point=childProfileTrigger \
-  --trigger-event-filters="type=google.cloud.firestore.document.v1.written" \
-  --trigger-event-filters="database=(default)" \
-  --trigger-event-filters-path-pattern="document=child_profile/{docId}" \
-  --trigger-location=nam5 \
-  --env-vars-file=env.yaml \
-  --max-instances=100 \
-  --memory=512MB \
-  --timeout=120s \
-  --retry \
-  --vpc-connector=projects/coddle-d9a2b/locations/us-central1/connectors/default-vpc-connector
+  gcloud pubsub topics describe "$REFRESH_TOPIC" >/dev/null 2>&1 || \
+    gcloud pubsub topics create "$REFRESH_TOPIC"
 
-# Deploy function for child_questionnaire collection
-gcloud functions deploy childQuestionnaireTrigger \
-  --gen2 \
-  --runtime=nodejs20 \
-  --region=$REGION \
-  --source=. \
-  --entry-point=childQuestionnaireTrigger \
-  --trigger-event-filters="type=google.cloud.firestore.document.v1.written" \
-  --trigger-event-filters="database=(default)" \
-  --trigger-event-filters-path-pattern="document=child_questionnaire/{docId}" \
-  --trigger-location=nam5 \
-  --env-vars-file=env.yaml \
-  --max-instances=100 \
-  --memory=512MB \
-  --timeout=120s \
-  --retry \
-  --vpc-connector=projects/coddle-d9a2b/locations/us-central1/connectors/default-vpc-connector
+  gcloud functions deploy scheduledRefreshTrigger \
+    --gen2 \
+    --runtime=nodejs20 \
+    --region=$REGION \
+    --source=. \
+    --entry-point=scheduledRefreshTrigger \
+    --trigger-topic="$REFRESH_TOPIC" \
+    --env-vars-file=env.yaml \
+    --max-instances=1 \
+    --memory=512MB \
+    --timeout=540s \
+    --vpc-connector=projects/coddle-d9a2b/locations/us-central1/connectors/default-vpc-connector
 
-echo "Deployment complete!"
\ No newline at end of file
+  if gcloud scheduler jobs describe cache-scheduled-refresh --location=$REGION >/dev/null 2>&1; then
+    gcloud scheduler jobs update pubsub cache-scheduled-refresh \
+      --location=$REGION --schedule="$REFRESH_SCHEDULE" --topic="$REFRESH_TOPIC" --message-body="{}"
+  else
+    gcloud scheduler jobs create pubsub cache-scheduled-refresh \
+      --location=$REGION --schedule="$REFRESH_SCHEDULE" --topic="$REFRESH_TOPIC" --message-body="{}"
+  fi
+fi
+
+echo "Deployment complete!"
@@ -0,0 +1,345 @@
+// Replays failed Firestore events.
+//
+// Failures acknowledged by the functions are stored in the processing_failures
+// collection together with the original CloudEvent; events that kept failing
+// with retryable errors end up on the Pub/Sub dead-letter topic. Both are
+// turned back into CloudEvents and run through processFirestoreEventWithRetryLogic.
+//
+//   node dlq-processor.js list    [filters]
+//   node dlq-processor.js replay  [filters] [--dry-run]
+//   node dlq-processor.js resolve [filters] [--note <text>]
+//   node dlq-processor.js dlq     [--subscription <name>] [--limit <n>] [--dry-run]
+//
+// Filters:
+//   --id <docId>           one failure document
+//   --collection <name>    source collection (e.g. feedEvents)
+//   --reason <code>        reasonCode (e.g. upstream_not_found) or reason (e.g. test_data)
+//   --since <time>         failures at or after this ISO time
+//   --until <time>         failures before this ISO time
+//   --limit <n>            at most n failures (default 100)
+//   --all                  include failures already replayed or resolved
+//
+// A successful replay marks the failure `status: replayed`; `resolve` marks
+// failures `status: resolved` without replaying them (e.g. test data).
+
+const { loadEnvFile } = require('./cli-support');
+
+// Before requiring index.js, which reads its settings when loaded
+loadEnvFile();
+
+const admin = require('firebase-admin');
+const { processFirestoreEventWithRetryLogic, closeRedisClient } = require('./index');
+const { classifyError } = require('./errors');
+
+const FAILURES_COLLECTION = 'processing_failures';
+const DEFAULT_LIMIT = 100;
+const DEFAULT_DLQ_SUBSCRIPTION = 'firestore-events-dlq-monitor';
+const CLOSED_STATUSES = ['replayed', 'resolved'];
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, limit: DEFAULT_LIMIT, dryRun: false, all: false };
+  const valueFlags = {
+    '--id': 'id',
+    '--collection': 'collection',
+    '--reason': 'reason',
+    '--since': 'since',
+    '--until': 'until',
+    '--limit': 'limit',
+    '--note': 'note',
+    '--subscription': 'subscription'
+  };
+
+  for (let i = 0; i < rest.length; i++) {
+    const flag = rest[i];
+    if (flag === '--dry-run') {
+      options.dryRun = true;
+    } else if (flag === '--all') {
+      options.all = true;
+    } else if (valueFlags[flag] && rest[i + 1] !== undefined) {
+      options[valueFlags[flag]] = rest[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option: ${flag}`);
+    }
+  }
+
+  options.limit = Number(options.limit);
+  if (!Number.isInteger(options.limit) || options.limit <= 0) {
+    throw new Error('--limit must be a positive whole number');
+  }
+  for (const name of ['since', 'until']) {
+    if (options[name]) {
+      const date = new Date(options[name]);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`--${name} must be an ISO date/time, got "${options[name]}"`);
+      }
+      options[name] = date;
+    }
+  }
+
+  return options;
+}
+
+// Failure documents matching the filters, newest first.
+// Combining --collection or --reason with a time range needs a composite index;
+// Firestore's error message links to creating it.
+async function findFailures(db, options) {
+  if (options.id) {
+    const doc = await db.collection(FAILURES_COLLECTION).doc(options.id).get();
+    return doc.exists ? [doc] : [];
+  }
+
+  let query = db.collection(FAILURES_COLLECTION);
+  if (options.collection) {
+    query = query.where('collection', '==', options.collection);
+  }
+  if (options.since) {
+    query = query.where('timestamp', '>=', options.since);
+  }
+  if (options.until) {
+    query = query.where('timestamp', '<', options.until);
+  }
+  query = query.orderBy('timestamp', 'desc');
+
+  // reason and status are filtered here: older failures have no reasonCode or
+  // status. Pages of --limit documents are read until enough match.
+  const failures = [];
+  let last = null;
+  while (failures.length < options.limit) {
+    const page = await (last ? query.startAfter(last) : query).limit(options.limit).get();
+    for (const doc of page.docs) {
+      const failure = doc.data();
+      if (options.reason && failure.reasonCode !== options.reason && failure.reason !== options.reason) {
+        continue;
+      }
+      if (!options.all && CLOSED_STATUSES.includes(failure.status)) {
+        continue;
+      }
+      failures.push(doc);
+      if (failures.length >= options.limit) {
+        break;
+      }
+    }
+    if (page.docs.length < options.limit) {
+      break;
+    }
+    last = page.docs[page.docs.length - 1];
+  }
+
+  return failures;
+}
+
+function describeFailure(doc) {
+  const failure = doc.data();
+  const at = failure.timestamp && failure.timestamp.toDate ? failure.timestamp.toDate().toISOString() : '-';
+  return [
+    doc.id,
+    at,
+    failure.collection || '-',
+    failure.reasonCode || failure.reason || '-',
+    failure.status || 'failed',
+    failure.subject || '-'
+  ].join('  ');
+}
+
+// Turn the event captured by logFailedEvent back into a CloudEvent
+function rebuildCloudEvent(failure) {
+  const captured = failure.event;
+  if (!captured || !captured.dataEncoding) {
+    throw new Error('No event payload was captured for this failure');
+  }
+
+  const data = captured.dataEncoding === 'base64'
+    ? Buffer.from(captured.data, 'base64')
+    : JSON.parse(captured.data);
+
+  return { ...captured.attributes, data };
+}
+
+// A dead-lettered Pub/Sub message carries the CloudEvent attributes as ce-*
+// message attributes and the event payload as the message data
+function fromPubSubMessage(message) {
+  const cloudEvent = {};
+  for (const [name, value] of Object.entries(message.attributes || {})) {
+    if (name.startsWith('ce-')) {
+      cloudEvent[name.slice('ce-'.length)] = value;
+    }
+  }
+
+  if (!cloudEvent.id || !cloudEvent.subject) {
+    throw new Error(`Message ${message.messageId} has no ce-id/ce-subject attributes`);
+  }
+  cloudEvent.data = Buffer.from(message.data || '');
+
+  return cloudEvent;
+}
+
+// "documents/feedEvents/abc" -> "feedEvents"
+function collectionFromSubject(subject) {
+  const parts = subject.split('/');
+  return parts.length >= 3 ? parts[parts.length - 2] : null;
+}
+
+async function listFailures(db, options) {
+  const failures = await findFailures(db, options);
+  console.log(`${failures.length} failure(s)`);
+  for (const doc of failures) {
+    console.log(describeFailure(doc));
+  }
+}
+
+async function replayFailures(db, options) {
+  const failures = await findFailures(db, options);
+  const counts = { replayed: 0, failed: 0, skipped: 0 };
+  console.log(`${options.dryRun ? 'Dry run: would replay' : 'Replaying'} ${failures.length} failure(s)`);
+
+  for (const doc of failures) {
+    const failure = doc.data();
+    console.log(`\n${describeFailure(doc)}`);
+
+    let cloudEvent;
+    try {
+      cloudEvent = rebuildCloudEvent(failure);
+    } catch (error) {
+      console.warn(`  skipped: ${error.message}`);
+      counts.skipped++;
+      continue;
+    }
+
+    if (options.dryRun) {
+      const size = Buffer.isBuffer(cloudEvent.data) ? `${cloudEvent.data.length} bytes` : 'JSON';
+      console.log(`  would replay event ${cloudEvent.id} (${cloudEvent.type}, ${size}) through ${failure.collection}`);
+      continue;
+    }
+
+    const replay = {
+      replayCount: admin.firestore.FieldValue.increment(1),
+      lastReplayAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    try {
+      const outcome = await processFirestoreEventWithRetryLogic(cloudEvent, failure.collection, { logFailures: false });
+
+      if (outcome.status === 'acknowledged') {
+        console.warn(`  still failing: ${outcome.reasonCode}`);
+        await doc.ref.update({ ...replay, lastReplayError: { reasonCode: outcome.reasonCode } });
+        counts.failed++;
+      } else {
+        console.log(`  ${outcome.status}`);
+        await doc.ref.update({ ...replay, status: 'replayed', replayOutcome: outcome.status });
+        counts.replayed++;
+      }
+    } catch (error) {
+      // Retryable failure: leave the failure open for a later replay
+      const { reasonCode } = classifyError(error);
+      console.warn(`  still failing (retryable): ${reasonCode} - ${error.message}`);
+      await doc.ref.update({ ...replay, lastReplayError: { reasonCode, message: error.message } });
+      counts.failed++;
+    }
+  }
+
+  console.log(`\nReplayed: ${counts.replayed}, still failing: ${counts.failed}, skipped: ${counts.skipped}`);
+}
+
+async function resolveFailures(db, options) {
+  if (!options.id && !options.collection && !options.reason && !options.since && !options.until) {
+    throw new Error('resolve needs --id or at least one filter');
+  }
+
+  const failures = await findFailures(db, options);
+  console.log(`${options.dryRun ? 'Dry run: would resolve' : 'Resolving'} ${failures.length} failure(s)`);
+
+  for (const doc of failures) {
+    console.log(describeFailure(doc));
+    if (!options.dryRun) {
+      await doc.ref.update({
+        status: 'resolved',
+        resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+        resolutionNote: options.note || null
+      });
+    }
+  }
+}
+
+// Pull dead-lettered messages and replay them. Messages are acknowledged once
+// processed (or acknowledged as non-recoverable, which logs them to
+// processing_failures); retryable failures and dry runs are handed back.
+async function replayDeadLetters(options) {
+  const { v1 } = require('@google-cloud/pubsub');
+  const subscriber = new v1.SubscriberClient();
+  const projectId = process.env.GOOGLE_CLOUD_PROJECT || process.env.FIREBASE_PROJECT_ID || await subscriber.getProjectId();
+  const subscriptionName = options.subscription || process.env.DLQ_SUBSCRIPTION || DEFAULT_DLQ_SUBSCRIPTION;
+  const subscription = subscriber.subscriptionPath(projectId, subscriptionName);
+
+  const [response] = await subscriber.pull({ subscription, maxMessages: options.limit });
+  const messages = response.receivedMessages || [];
+  const counts = { replayed: 0, failed: 0, skipped: 0 };
+  console.log(`${messages.length} message(s) pulled from ${subscriptionName}`);
+
+  const release = ackId => subscriber.modifyAckDeadline({ subscription, ackIds: [ackId], ackDeadlineSeconds: 0 });
+  const acknowledge = ackId => subscriber.acknowledge({ subscription, ackIds: [ackId] });
+
+  for (const { ackId, message } of messages) {
+    let cloudEvent;
+    let collectionName;
+    try {
+      cloudEvent = fromPubSubMessage(message);
+      collectionName = collectionFromSubject(cloudEvent.subject);
+    } catch (error) {
+      console.warn(`\nMessage ${message.messageId} skipped: ${error.message}`);
+      await release(ackId);
+      counts.skipped++;
+      continue;
+    }
+
+    console.log(`\n${message.messageId}  ${cloudEvent.id}  ${collectionName}  ${cloudEvent.subject}`);
+
+    if (options.dryRun) {
+      console.log(`  would replay event ${cloudEvent.id} (${cloudEvent.data.length} bytes) through ${collectionName}`);
+      await release(ackId);
+      continue;
+    }
+
+    try {
+      const outcome = await processFirestoreEventWithRetryLogic(cloudEvent, collectionName);
+      console.log(`  ${outcome.status}${outcome.reasonCode ? `: ${outcome.reasonCode}` : ''}`);
+      await acknowledge(ackId);
+      counts[outcome.status === 'acknowledged' ? 'failed' : 'replayed']++;
+    } catch (error) {
+      console.warn(`  still failing (retryable): ${classifyError(error).reasonCode} - ${error.message}`);
+      await release(ackId);
+      counts.failed++;
+    }
+  }
+
+  console.log(`\nReplayed: ${counts.replayed}, still failing: ${counts.failed}, skipped: ${counts.skipped}`);
+  await subscriber.close();
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const db = admin.firestore();
+
+  switch (options.command) {
+    case 'list':
+      return listFailures(db, options);
+    case 'replay':
+      return replayFailures(db, options);
+    case 'resolve':
+      return resolveFailures(db, options);
+    case 'dlq':
+      return replayDeadLetters(options);
+    default:
+      throw new Error('Usage: node dlq-processor.js <list|replay|resolve|dlq> [options] (see the top of dlq-processor.js)');
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closeRedisClient().catch(() => {});
+    process.exit();
+  });
@@ -0,0 +1,136 @@
+// Typed errors for event processing. Every error carries:
+//   retryable  - true to hand the event back to Eventarc for redelivery,
+//                false to acknowledge it and record it in processing_failures
+//   reasonCode - a stable machine-readable cause, stored with failures
+//
+// classifyError() maps anything thrown (axios, node-redis, plain errors) onto
+// this taxonomy, so retry decisions never depend on error message text.
+
+const redis = require('redis');
+
+const TRANSIENT_NETWORK_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+  'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'
+];
+
+// node-redis errors meaning Redis could not be reached, not that a command was wrong
+const REDIS_CONNECTION_ERRORS = [
+  redis.ConnectionTimeoutError,
+  redis.SocketTimeoutError,
+  redis.ClientClosedError,
+  redis.ClientOfflineError,
+  redis.SocketClosedUnexpectedlyError,
+  redis.RootNodesUnavailableError,
+  redis.ReconnectStrategyError
+].filter(Boolean);
+
+class ProcessingError extends Error {
+  constructor(message, { reasonCode, retryable, cause, ...details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.reasonCode = reasonCode || 'processing_failed';
+    this.retryable = retryable === true;
+    if (cause) {
+      this.cause = cause;
+    }
+    Object.assign(this, details);
+  }
+}
+
+// The event itself can never be processed (missing fields, bad upstream request)
+class ValidationError extends ProcessingError {
+  constructor(message, options = {}) {
+    super(message, { reasonCode: 'validation_failed', ...options, retryable: false });
+  }
+}
+
+// The upstream API refused our credentials, even after a fresh token
+class UpstreamAuthError extends ProcessingError {
+  constructor(message, options = {}) {
+    super(message, { reasonCode: 'upstream_auth', ...options, retryable: false });
+  }
+}
+
+// The upstream API does not know the parent or child
+class UpstreamNotFound extends ProcessingError {
+  constructor(message, options = {}) {
+    super(message, { reasonCode: 'upstream_not_found', ...options, retryable: false });
+  }
+}
+
+// Network errors, timeouts, 5xx, 429, open circuits and a full concurrency limit
+class UpstreamTransient extends ProcessingError {
+  constructor(message, options = {}) {
+    super(message, { reasonCode: 'upstream_transient', ...options, retryable: true });
+  }
+}
+
+class RedisUnavailable extends ProcessingError {
+  constructor(message, options = {}) {
+    super(message, { reasonCode: 'redis_unavailable', ...options, retryable: true });
+  }
+}
+
+// The CloudEvent payload is neither a DocumentEventData protobuf nor JSON
+class DecodeError extends ProcessingError {
+  constructor(message, options = {}) {
+    super(message, { reasonCode: 'decode_failed', ...options, retryable: false });
+  }
+}
+
+function isTransientUpstreamError(error) {
+  if (error.response) {
+    return error.response.status >= 500 || error.response.status === 429;
+  }
+  return TRANSIENT_NETWORK_CODES.includes(error.code);
+}
+
+// Wrap a failed upstream (axios) call. The response and code stay available
+// for 401 handling and the stale metadata.
+function toUpstreamError(endpoint, error) {
+  if (error instanceof ProcessingError) {
+    return error;
+  }
+
+  const status = error.response ? error.response.status : null;
+  const options = { cause: error, endpoint, status, code: error.code, response: error.response };
+  const message = `Upstream ${endpoint} failed: ${error.message}`;
+
+  if (status === 401 || status === 403) {
+    return new UpstreamAuthError(message, options);
+  }
+  if (status === 404) {
+    return new UpstreamNotFound(message, options);
+  }
+  if (isTransientUpstreamError(error)) {
+    return new UpstreamTransient(message, options);
+  }
+  if (status !== null) {
+    return new ValidationError(message, { ...options, reasonCode: 'upstream_rejected' });
+  }
+  return new ProcessingError(message, { ...options, reasonCode: 'upstream_failed' });
+}
+
+// Map any thrown value onto the taxonomy. Unknown errors are not retried.
+function classifyError(error) {
+  if (error instanceof ProcessingError) {
+    return error;
+  }
+  if (REDIS_CONNECTION_ERRORS.some(type => error instanceof type)) {
+    return new RedisUnavailable(`Redis unavailable: ${error.message}`, { cause: error });
+  }
+  return new ProcessingError(error.message || String(error), { cause: error, reasonCode: 'unknown' });
+}
+
+module.exports = {
+  ProcessingError,
+  ValidationError,
+  UpstreamAuthError,
+  UpstreamNotFound,
+  UpstreamTransient,
+  RedisUnavailable,
+  DecodeError,
+  isTransientUpstreamError,
+  toUpstreamError,
+  classifyError
+};
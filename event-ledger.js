@@ -0,0 +1,88 @@
+// Idempotency ledger for CloudEvents, keyed by cloudEvent.id.
+//
+// `--retry` and DLQ redelivery can hand us the same event several times.
+// Before processing, an event is claimed with a short lease; once it succeeds
+// it is recorded as done for a bounded time and later deliveries are skipped.
+// A crashed attempt never records "done", and its lease simply expires, so the
+// redelivered event can be processed again.
+//
+// Redis key: event:{eventId} (in the key namespace, see key-namespace.js)
+//   "in_progress:<owner>" - claimed by a running attempt (expires after the lease)
+//   "done"                - processed successfully
+
+const crypto = require('crypto');
+const { namespaceKey } = require('./key-namespace');
+
+// Longer than the 120s function timeout, so a live attempt never loses its lease
+const DEFAULT_LEASE_SECONDS = 150;
+// Pub/Sub keeps undelivered messages for 7 days by default
+const DEFAULT_DONE_TTL_SECONDS = 7 * 24 * 3600;
+
+const DONE = 'done';
+const IN_PROGRESS_PREFIX = 'in_progress:';
+
+// Delete the lease only if this attempt still owns it
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+function getLedgerConfig() {
+  return {
+    leaseSeconds: parseInt(process.env.EVENT_LEASE_SECONDS || DEFAULT_LEASE_SECONDS),
+    doneTtlSeconds: parseInt(process.env.PROCESSED_EVENT_TTL_SECONDS || DEFAULT_DONE_TTL_SECONDS)
+  };
+}
+
+function eventKey(eventId) {
+  return namespaceKey(`event:${eventId}`);
+}
+
+// Try to claim an event for processing.
+// Resolves to { status: 'claimed', owner } | { status: 'done' } | { status: 'in_progress' }
+async function claimEvent(client, eventId, attempt = 1) {
+  const { leaseSeconds } = getLedgerConfig();
+  const owner = `${IN_PROGRESS_PREFIX}${crypto.randomUUID()}`;
+
+  const claimed = await client.set(eventKey(eventId), owner, {
+    condition: 'NX',
+    expiration: { type: 'EX', value: leaseSeconds }
+  });
+  if (claimed) {
+    return { status: 'claimed', owner };
+  }
+
+  const current = await client.get(eventKey(eventId));
+  if (current === DONE) {
+    return { status: 'done' };
+  }
+  if (current === null && attempt < 3) {
+    // The other attempt released or its lease expired in between; try again
+    return claimEvent(client, eventId, attempt + 1);
+  }
+
+  return { status: 'in_progress' };
+}
+
+// Record an event as processed so redeliveries are skipped
+async function markEventDone(client, eventId) {
+  const { doneTtlSeconds } = getLedgerConfig();
+  await client.set(eventKey(eventId), DONE, {
+    expiration: { type: 'EX', value: doneTtlSeconds }
+  });
+}
+
+// Give up a claim after a failed attempt so a retry can start immediately
+async function releaseEvent(client, eventId, owner) {
+  await client.eval(RELEASE_SCRIPT, { keys: [eventKey(eventId)], arguments: [owner] });
+}
+
+module.exports = {
+  RELEASE_SCRIPT,
+  claimEvent,
+  markEventDone,
+  releaseEvent,
+  getLedgerConfig
+};
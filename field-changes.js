@@ -0,0 +1,113 @@
+// Skipping updates that change nothing the cache depends on.
+//
+// Clients rewrite documents for their own bookkeeping (bumping syncedAt or
+// clientVersion, saving unchanged data again), and every such write used to
+// run the full refresh. A collection can list the fields that matter in
+// collections.yaml, in one of two ways:
+//   relevantFields  only changes to these fields refresh the cache
+//   ignoredFields   changes to any field but these refresh the cache
+// Entries are field paths: "meta" covers "meta.syncedAt", while
+// "meta.syncedAt" covers only that field.
+//
+// The changed fields come from the event's updateMask when it has one, and
+// otherwise from comparing oldValue with value. Creates and deletes are never
+// skipped. Updates that changed no field at all are skipped in every
+// collection, with or without a list.
+
+const { serializeForRedis } = require('./firestore-values');
+
+// "a.`b.c`.d" -> ['a', 'b.c', 'd']
+function splitFieldPath(fieldPath) {
+  const segments = [];
+  let segment = '';
+  let quoted = false;
+
+  for (let i = 0; i < fieldPath.length; i++) {
+    const char = fieldPath[i];
+    if (quoted && char === '\\') {
+      segment += fieldPath[++i] || '';
+    } else if (char === '`') {
+      quoted = !quoted;
+    } else if (!quoted && char === '.') {
+      segments.push(segment);
+      segment = '';
+    } else {
+      segment += char;
+    }
+  }
+  segments.push(segment);
+  return segments;
+}
+
+// ['a', 'b.c'] -> "a.`b.c`"
+function joinFieldPath(segments) {
+  return segments
+    .map(segment => /^[A-Za-z_][A-Za-z_0-9]*$/.test(segment) ? segment : `\`${segment.replace(/[`\\]/g, '\\$&')}\``)
+    .join('.');
+}
+
+// Whether field path `prefix` is `path` or one of its parents
+function coversPath(prefix, path) {
+  return prefix.length <= path.length && prefix.every((segment, i) => segment === path[i]);
+}
+
+// Paths whose Firestore values differ between two `fields` maps, descending into maps
+function diffFields(before = {}, after = {}, prefix = []) {
+  const changed = [];
+
+  for (const name of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const path = [...prefix, name];
+    const previous = before[name];
+    const current = after[name];
+
+    if (previous && current && previous.mapValue && current.mapValue) {
+      changed.push(...diffFields(previous.mapValue.fields, current.mapValue.fields, path));
+    } else if (previous === undefined || current === undefined ||
+        serializeForRedis(previous) !== serializeForRedis(current)) {
+      changed.push(path);
+    }
+  }
+  return changed;
+}
+
+// Field paths (as segment lists) an update changed
+function getChangedFields(eventData) {
+  const fieldPaths = eventData.updateMask && eventData.updateMask.fieldPaths;
+  if (Array.isArray(fieldPaths) && fieldPaths.length > 0) {
+    return fieldPaths.map(splitFieldPath);
+  }
+  return diffFields(eventData.oldValue && eventData.oldValue.fields, eventData.value && eventData.value.fields);
+}
+
+// Why an event can be acknowledged without a refresh, as
+// { reasonCode: 'no_changes' | 'irrelevant_fields', fields }; null when it
+// has to be processed
+function getSkipReason(collectionConfig, eventType, eventData) {
+  if (eventType !== 'updated') {
+    return null;
+  }
+
+  const changed = getChangedFields(eventData);
+  if (changed.length === 0) {
+    return { reasonCode: 'no_changes', fields: [] };
+  }
+
+  const { relevantFields, ignoredFields } = collectionConfig;
+  let matters;
+  if (relevantFields) {
+    const relevant = relevantFields.map(splitFieldPath);
+    matters = path => relevant.some(field => coversPath(field, path) || coversPath(path, field));
+  } else if (ignoredFields) {
+    const ignored = ignoredFields.map(splitFieldPath);
+    matters = path => !ignored.some(field => coversPath(field, path));
+  } else {
+    return null;
+  }
+
+  if (changed.some(matters)) {
+    return null;
+  }
+  return { reasonCode: 'irrelevant_fields', fields: changed.map(joinFieldPath) };
+}
+
+module.exports = { getSkipReason };
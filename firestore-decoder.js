@@ -0,0 +1,381 @@
+// Decoder for the google.events.cloud.firestore.v1.DocumentEventData protobuf
+// that Eventarc delivers to Firestore-triggered functions as a Buffer.
+//
+// The output mirrors the JSON form of the same message, which is what the
+// rest of the pipeline already understands:
+//   { value: Document, oldValue: Document, updateMask: { fieldPaths: [...] } }
+// where each Document is { name, fields, createTime, updateTime } and each
+// field is a Firestore Value such as { stringValue: '...' }.
+
+// Protobuf wire types
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_START_GROUP = 3;
+const WIRE_END_GROUP = 4;
+const WIRE_FIXED32 = 5;
+
+// Minimal protobuf reader over a single Buffer region
+class ProtoReader {
+  constructor(buffer, start = 0, end = buffer.length) {
+    this.buffer = buffer;
+    this.pos = start;
+    this.end = end;
+  }
+
+  done() {
+    return this.pos >= this.end;
+  }
+
+  readVarint() {
+    let result = 0n;
+    let shift = 0n;
+
+    while (true) {
+      if (this.pos >= this.end) {
+        throw new Error('Truncated varint in Firestore event data');
+      }
+
+      const byte = this.buffer[this.pos++];
+      result |= BigInt(byte & 0x7f) << shift;
+
+      if ((byte & 0x80) === 0) {
+        return result;
+      }
+
+      shift += 7n;
+      if (shift > 63n) {
+        throw new Error('Malformed varint in Firestore event data');
+      }
+    }
+  }
+
+  readTag() {
+    const tag = Number(this.readVarint());
+    return { fieldNumber: tag >>> 3, wireType: tag & 0x07 };
+  }
+
+  readInt64() {
+    return BigInt.asIntN(64, this.readVarint());
+  }
+
+  readInt32() {
+    return Number(BigInt.asIntN(32, this.readVarint()));
+  }
+
+  readBool() {
+    return this.readVarint() !== 0n;
+  }
+
+  readDouble() {
+    this.ensureAvailable(8);
+    const value = this.buffer.readDoubleLE(this.pos);
+    this.pos += 8;
+    return value;
+  }
+
+  readBytes() {
+    const length = Number(this.readVarint());
+    this.ensureAvailable(length);
+    const bytes = this.buffer.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return bytes;
+  }
+
+  readString() {
+    return this.readBytes().toString('utf8');
+  }
+
+  // Returns a reader scoped to the next length-delimited field
+  readMessage() {
+    const length = Number(this.readVarint());
+    this.ensureAvailable(length);
+    const reader = new ProtoReader(this.buffer, this.pos, this.pos + length);
+    this.pos += length;
+    return reader;
+  }
+
+  skip(wireType) {
+    switch (wireType) {
+      case WIRE_VARINT:
+        this.readVarint();
+        break;
+      case WIRE_FIXED64:
+        this.ensureAvailable(8);
+        this.pos += 8;
+        break;
+      case WIRE_LENGTH_DELIMITED:
+        this.readBytes();
+        break;
+      case WIRE_START_GROUP: {
+        // Groups are deprecated but still legal on the wire
+        while (true) {
+          const { wireType: innerType } = this.readTag();
+          if (innerType === WIRE_END_GROUP) break;
+          this.skip(innerType);
+        }
+        break;
+      }
+      case WIRE_FIXED32:
+        this.ensureAvailable(4);
+        this.pos += 4;
+        break;
+      default:
+        throw new Error(`Unsupported protobuf wire type ${wireType} in Firestore event data`);
+    }
+  }
+
+  ensureAvailable(length) {
+    if (this.pos + length > this.end) {
+      throw new Error('Truncated field in Firestore event data');
+    }
+  }
+}
+
+// google.protobuf.Timestamp -> RFC 3339 string with nanosecond precision
+function decodeTimestamp(reader) {
+  let seconds = 0n;
+  let nanos = 0;
+
+  while (!reader.done()) {
+    const { fieldNumber, wireType } = reader.readTag();
+    if (fieldNumber === 1 && wireType === WIRE_VARINT) {
+      seconds = reader.readInt64();
+    } else if (fieldNumber === 2 && wireType === WIRE_VARINT) {
+      nanos = reader.readInt32();
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  const date = new Date(Number(seconds) * 1000);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Timestamp out of range in Firestore event data: ${seconds}s`);
+  }
+
+  // Keep full nanosecond precision instead of Date's milliseconds
+  const base = date.toISOString().replace(/\.\d{3}Z$/, '');
+  if (nanos === 0) {
+    return `${base}Z`;
+  }
+  const fraction = String(nanos).padStart(9, '0').replace(/0+$/, '');
+  return `${base}.${fraction}Z`;
+}
+
+// google.type.LatLng
+function decodeLatLng(reader) {
+  const geoPoint = { latitude: 0, longitude: 0 };
+
+  while (!reader.done()) {
+    const { fieldNumber, wireType } = reader.readTag();
+    if (fieldNumber === 1 && wireType === WIRE_FIXED64) {
+      geoPoint.latitude = reader.readDouble();
+    } else if (fieldNumber === 2 && wireType === WIRE_FIXED64) {
+      geoPoint.longitude = reader.readDouble();
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  return geoPoint;
+}
+
+// map<string, Value> entry: key = 1, value = 2
+function decodeFieldEntry(reader) {
+  let key = '';
+  let value = { nullValue: null };
+
+  while (!reader.done()) {
+    const { fieldNumber, wireType } = reader.readTag();
+    if (fieldNumber === 1 && wireType === WIRE_LENGTH_DELIMITED) {
+      key = reader.readString();
+    } else if (fieldNumber === 2 && wireType === WIRE_LENGTH_DELIMITED) {
+      value = decodeValue(reader.readMessage());
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  return [key, value];
+}
+
+// MapValue: repeated map entries in field 1
+function decodeMapValue(reader) {
+  const fields = {};
+
+  while (!reader.done()) {
+    const { fieldNumber, wireType } = reader.readTag();
+    if (fieldNumber === 1 && wireType === WIRE_LENGTH_DELIMITED) {
+      const [key, value] = decodeFieldEntry(reader.readMessage());
+      fields[key] = value;
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  return { fields };
+}
+
+// ArrayValue: repeated Value in field 1
+function decodeArrayValue(reader) {
+  const values = [];
+
+  while (!reader.done()) {
+    const { fieldNumber, wireType } = reader.readTag();
+    if (fieldNumber === 1 && wireType === WIRE_LENGTH_DELIMITED) {
+      values.push(decodeValue(reader.readMessage()));
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  return { values };
+}
+
+// Wire type of each Value oneof case; a case arriving with another wire type
+// is skipped like an unknown field rather than misread
+const VALUE_WIRE_TYPES = {
+  1: WIRE_VARINT,
+  2: WIRE_VARINT,
+  3: WIRE_FIXED64,
+  5: WIRE_LENGTH_DELIMITED,
+  6: WIRE_LENGTH_DELIMITED,
+  8: WIRE_LENGTH_DELIMITED,
+  9: WIRE_LENGTH_DELIMITED,
+  10: WIRE_LENGTH_DELIMITED,
+  11: WIRE_VARINT,
+  17: WIRE_LENGTH_DELIMITED,
+  18: WIRE_LENGTH_DELIMITED
+};
+
+// google.events.cloud.firestore.v1.Value (a oneof over every Firestore type)
+function decodeValue(reader) {
+  // An empty Value message carries the default, which Firestore treats as null
+  let value = { nullValue: null };
+
+  while (!reader.done()) {
+    const { fieldNumber, wireType } = reader.readTag();
+    if (VALUE_WIRE_TYPES[fieldNumber] !== wireType) {
+      reader.skip(wireType);
+      continue;
+    }
+
+    switch (fieldNumber) {
+      case 1:
+        value = { booleanValue: reader.readBool() };
+        break;
+      case 2:
+        // int64 is kept as a string, as in the JSON mapping, so no precision is lost
+        value = { integerValue: reader.readInt64().toString() };
+        break;
+      case 3:
+        value = { doubleValue: reader.readDouble() };
+        break;
+      case 5:
+        value = { referenceValue: reader.readString() };
+        break;
+      case 6:
+        value = { mapValue: decodeMapValue(reader.readMessage()) };
+        break;
+      case 8:
+        value = { geoPointValue: decodeLatLng(reader.readMessage()) };
+        break;
+      case 9:
+        value = { arrayValue: decodeArrayValue(reader.readMessage()) };
+        break;
+      case 10:
+        value = { timestampValue: decodeTimestamp(reader.readMessage()) };
+        break;
+      case 11:
+        reader.readVarint();
+        value = { nullValue: null };
+        break;
+      case 17:
+        value = { stringValue: reader.readString() };
+        break;
+      case 18:
+        value = { bytesValue: reader.readBytes().toString('base64') };
+        break;
+      default:
+        reader.skip(wireType);
+    }
+  }
+
+  return value;
+}
+
+// google.events.cloud.firestore.v1.Document
+function decodeDocument(reader) {
+  const document = { name: '', fields: {} };
+
+  while (!reader.done()) {
+    const { fieldNumber, wireType } = reader.readTag();
+
+    if (fieldNumber === 1 && wireType === WIRE_LENGTH_DELIMITED) {
+      document.name = reader.readString();
+    } else if (fieldNumber === 2 && wireType === WIRE_LENGTH_DELIMITED) {
+      const [key, value] = decodeFieldEntry(reader.readMessage());
+      document.fields[key] = value;
+    } else if (fieldNumber === 3 && wireType === WIRE_LENGTH_DELIMITED) {
+      document.createTime = decodeTimestamp(reader.readMessage());
+    } else if (fieldNumber === 4 && wireType === WIRE_LENGTH_DELIMITED) {
+      document.updateTime = decodeTimestamp(reader.readMessage());
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  return document;
+}
+
+// google.events.cloud.firestore.v1.DocumentMask
+function decodeDocumentMask(reader) {
+  const fieldPaths = [];
+
+  while (!reader.done()) {
+    const { fieldNumber, wireType } = reader.readTag();
+    if (fieldNumber === 1 && wireType === WIRE_LENGTH_DELIMITED) {
+      fieldPaths.push(reader.readString());
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  return { fieldPaths };
+}
+
+// Decode a DocumentEventData payload.
+// Missing documents are omitted, exactly like the JSON encoding:
+// creates have no oldValue, deletes have no value.
+function decodeFirestoreEvent(buffer) {
+  if (!Buffer.isBuffer(buffer)) {
+    throw new Error('Firestore event data must be a Buffer');
+  }
+
+  const reader = new ProtoReader(buffer);
+  const eventData = {};
+
+  while (!reader.done()) {
+    const { fieldNumber, wireType } = reader.readTag();
+
+    if (fieldNumber === 1 && wireType === WIRE_LENGTH_DELIMITED) {
+      eventData.value = decodeDocument(reader.readMessage());
+    } else if (fieldNumber === 2 && wireType === WIRE_LENGTH_DELIMITED) {
+      eventData.oldValue = decodeDocument(reader.readMessage());
+    } else if (fieldNumber === 3 && wireType === WIRE_LENGTH_DELIMITED) {
+      eventData.updateMask = decodeDocumentMask(reader.readMessage());
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  // A protobuf payload that decodes to nothing is almost certainly not protobuf
+  // (for example a JSON body), so let the caller try its fallback
+  if (buffer.length > 0 && !eventData.value && !eventData.oldValue) {
+    throw new Error('Buffer does not contain a Firestore DocumentEventData message');
+  }
+
+  return eventData;
+}
+
+module.exports = { decodeFirestoreEvent };
@@ -0,0 +1,137 @@
+// Conversion of Firestore Values (the JSON form produced by the decoder and
+// by Eventarc JSON payloads) into plain JavaScript, and the matching rules
+// for serializing those JavaScript values into Redis.
+//
+// Firestore type   -> JavaScript               -> Redis (JSON)
+// stringValue      -> string                   -> string
+// integerValue     -> number, or BigInt when   -> number, or decimal string
+//                     outside the safe range       when outside the safe range
+// doubleValue      -> number                   -> number ('NaN', 'Infinity'
+//                                                 and '-Infinity' as strings)
+// booleanValue     -> boolean                  -> boolean
+// nullValue        -> null                     -> null
+// timestampValue   -> ISO 8601 string in UTC   -> string
+//                     (sub-millisecond digits
+//                     kept, see convertTimestamp)
+// referenceValue   -> document path string     -> string
+// geoPointValue    -> { latitude, longitude }  -> { latitude, longitude }
+// bytesValue       -> Buffer                   -> base64 string
+// arrayValue       -> Array (recursive)        -> array
+// mapValue         -> Object (recursive)       -> object
+
+// Firestore int64 -> number when it fits, BigInt otherwise
+function convertInteger(integerValue) {
+  const bigValue = BigInt(integerValue);
+
+  if (bigValue >= BigInt(Number.MIN_SAFE_INTEGER) && bigValue <= BigInt(Number.MAX_SAFE_INTEGER)) {
+    return Number(bigValue);
+  }
+
+  return bigValue;
+}
+
+// The JSON mapping encodes non-finite doubles as strings
+function convertDouble(doubleValue) {
+  return typeof doubleValue === 'string' ? Number(doubleValue) : doubleValue;
+}
+
+// RFC 3339 timestamp -> UTC ISO 8601 string. Whole milliseconds look exactly
+// like Date#toISOString; micro- and nanoseconds from the decoder are kept
+// ("2024-06-01T11:59:59.123456Z"), so they are not lost on the way to Redis.
+function convertTimestamp(timestampValue) {
+  const match = /^(.*?)(?:\.(\d+))?(Z|[+-]\d{2}:\d{2})$/i.exec(timestampValue);
+  const date = match && new Date(`${match[1]}${match[3]}`);
+  if (!date || Number.isNaN(date.getTime())) {
+    return timestampValue;
+  }
+
+  const digits = (match[2] || '').padEnd(9, '0').slice(0, 9);
+  let fraction = digits.slice(0, 3);
+  if (digits.slice(6) !== '000') {
+    fraction = digits;
+  } else if (digits.slice(3, 6) !== '000') {
+    fraction = digits.slice(0, 6);
+  }
+  return date.toISOString().replace(/\.\d{3}Z$/, `.${fraction}Z`);
+}
+
+// Convert a single Firestore Value to JavaScript, recursing into arrays and maps
+function fromFirestoreValue(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if ('stringValue' in value) return value.stringValue;
+  if ('integerValue' in value) return convertInteger(value.integerValue);
+  if ('doubleValue' in value) return convertDouble(value.doubleValue);
+  if ('booleanValue' in value) return value.booleanValue;
+  if ('nullValue' in value) return null;
+  if ('timestampValue' in value) return convertTimestamp(value.timestampValue);
+  if ('referenceValue' in value) return value.referenceValue;
+
+  if ('geoPointValue' in value) {
+    const geoPoint = value.geoPointValue || {};
+    return {
+      latitude: geoPoint.latitude || 0,
+      longitude: geoPoint.longitude || 0
+    };
+  }
+
+  if ('bytesValue' in value) {
+    return Buffer.from(value.bytesValue || '', 'base64');
+  }
+
+  if ('arrayValue' in value) {
+    const values = (value.arrayValue && value.arrayValue.values) || [];
+    return values.map(fromFirestoreValue);
+  }
+
+  if ('mapValue' in value) {
+    return fromFirestoreFields((value.mapValue && value.mapValue.fields) || {});
+  }
+
+  // An empty Value is Firestore's null
+  return null;
+}
+
+// Convert a Firestore `fields` map (document or mapValue) to a plain object
+function fromFirestoreFields(fields) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(fields || {})) {
+    result[key] = fromFirestoreValue(value);
+  }
+
+  return result;
+}
+
+// JSON.stringify replacer implementing the Redis column of the table above.
+// `this[key]` is the raw value, before Buffer/Date toJSON have run.
+function redisReplacer(key, value) {
+  const raw = this[key];
+
+  if (typeof raw === 'bigint') {
+    return raw.toString();
+  }
+
+  if (Buffer.isBuffer(raw)) {
+    return raw.toString('base64');
+  }
+
+  if (typeof raw === 'number' && !Number.isFinite(raw)) {
+    return String(raw);
+  }
+
+  return value;
+}
+
+// Serialize a value converted from Firestore for storage in Redis
+function serializeForRedis(value) {
+  return JSON.stringify(value, redisReplacer);
+}
+
+module.exports = {
+  fromFirestoreValue,
+  fromFirestoreFields,
+  serializeForRedis
+};
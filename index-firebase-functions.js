@@ -1,7 +1,10 @@
 const { onDocumentWritten } = require('firebase-functions/v2/firestore');
 const admin = require('firebase-admin');
 const redis = require('redis');
-const axios = require('axios');
+const { requestAuthToken, requestSummary, requestCurrentLogs } = require('./upstream-client');
+const { getCollectionConfig } = require('./collection-registry');
+const { getCollectionNamespace } = require('./cache-keys');
+const { namespaceKey } = require('./key-namespace');
 
 // Initialize Firebase Admin
 admin.initializeApp({
@@ -105,13 +108,13 @@ async function processFirestoreEvent(event, context, collectionName) {
         pumping: [{id: 1, amount: '4 oz'}]
       };
       
-      // Store mock data in Redis with TEST prefix
+      // Store mock data in Redis, under the test collection's key namespace
       await updateRedisCache(parentId, childId, {
         last7daySummary,
         currentDayLogs,
         lastUpdated: new Date().toISOString(),
         eventSource: collectionName
-      }, true); // true for test mode
+      });
       
     } else {
       // Production mode - call real APIs
@@ -132,7 +135,7 @@ async function processFirestoreEvent(event, context, collectionName) {
         currentDayLogs,
         lastUpdated: new Date().toISOString(),
         eventSource: collectionName
-      }, false); // false for production mode
+      });
     }
     
     console.log('Event processed successfully');
@@ -147,16 +150,7 @@ async function getAuthToken(parentId) {
   try {
     console.log(`Getting authentication token for parent: ${parentId}`);
     
-    const response = await axios.get(
-      `https://api-3sfdwjc2da-uc.a.run.app/chatAssistant/token/${parentId}`,
-      {
-        timeout: 10000,
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const response = await requestAuthToken(parentId);
     
     if (!response.data || !response.data.token) {
       throw new Error('API response missing token field');
@@ -175,22 +169,7 @@ async function getLast7daySummary(parentId, childId, token) {
   try {
     console.log(`Getting 7-day summary for parent: ${parentId}, child: ${childId}`);
     
-    const response = await axios.post(
-      'https://api-3sfdwjc2da-uc.a.run.app/chatAssistant/summary',
-      {
-        childId,
-        parentId,
-        timeZone: 'America/Los_Angeles',
-        flType: 'ML'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      }
-    );
+    const response = await requestSummary(parentId, childId, 'America/Los_Angeles', token);
     
     console.log('Successfully retrieved 7-day summary');
     return response.data;
@@ -205,20 +184,7 @@ async function getCurrentDayLogs(parentId, childId, token) {
   try {
     console.log(`Getting current day logs for parent: ${parentId}, child: ${childId}`);
     
-    const response = await axios.post(
-      'https://api-3sfdwjc2da-uc.a.run.app/chatAssistant/current-logs',
-      {
-        childId,
-        timeZone: 'America/Los_Angeles'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      }
-    );
+    const response = await requestCurrentLogs(childId, 'America/Los_Angeles', token);
     
     console.log('Successfully retrieved current day logs');
     return response.data;
@@ -233,33 +199,33 @@ async function getCurrentDayLogs(parentId, childId, token) {
   }
 }
 
-// Update Redis cache with the data
-async function updateRedisCache(parentId, childId, data, isTestMode = false) {
+// Update Redis cache with the data, in the key namespace of the collection
+// that triggered the write (see key-namespace.js)
+async function updateRedisCache(parentId, childId, data) {
   const client = await getRedisClient();
   
   try {
-    // Add TEST_ prefix for test mode
-    const prefix = isTestMode ? 'TEST_' : '';
+    const namespace = getCollectionNamespace(getCollectionConfig(data.eventSource));
     
     // Store summary data
-    const summaryKey = `${prefix}summary:${childId}`;
+    const summaryKey = namespaceKey(`summary:${childId}`, namespace);
     await client.setEx(summaryKey, 86400, JSON.stringify({
       data: data.last7daySummary,
       expiresAt: Date.now() + 86400000
     }));
     
     // Store day log data
-    const dayLogKey = `${prefix}daylog:${childId}`;
+    const dayLogKey = namespaceKey(`daylog:${childId}`, namespace);
     await client.setEx(dayLogKey, 1800, JSON.stringify({
       data: data.currentDayLogs,
       expiresAt: Date.now() + 1800000
     }));
     
     // Store combined data for parent-child pair
-    const combinedKey = `${prefix}parent:${parentId}:child:${childId}`;
+    const combinedKey = namespaceKey(`parent:${parentId}:child:${childId}`, namespace);
     await client.setEx(combinedKey, 3600, JSON.stringify(data));
     
-    console.log(`Updated Redis cache for parent: ${parentId}, child: ${childId} (${isTestMode ? 'TEST MODE' : 'PRODUCTION MODE'})`);
+    console.log(`Updated Redis cache for parent: ${parentId}, child: ${childId} (namespace: ${namespace || 'none'})`);
     console.log(`Keys created: ${summaryKey}, ${dayLogKey}, ${combinedKey}`);
   } catch (error) {
     console.error('Redis update failed:', error);
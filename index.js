@@ -1,8 +1,23 @@
 const functions = require('@google-cloud/functions-framework');
 const admin = require('firebase-admin');
 const redis = require('redis');
-const axios = require('axios');
-const { decodeFirestoreEvent } = require('./firestore-decoder-simple');
+const { setRedisClientProvider, withUpstreamDeadline, requestAuthToken, requestSummary, requestCurrentLogs, requestChildProfile } = require('./upstream-client');
+const { decodeFirestoreEvent } = require('./firestore-decoder');
+const { fromFirestoreFields, serializeForRedis } = require('./firestore-values');
+const { getDefaultTimeZone, extractTimeZone } = require('./timezone');
+const { getCachedToken, cacheToken, invalidateCachedToken, getTokenCacheConfig } = require('./token-cache');
+const { coalesceRefresh, refreshIfIdle } = require('./refresh-coalescer');
+const { getEventSourceVersion, currentSourceVersion, maxSourceVersion } = require('./cache-versioning');
+const { claimEvent, markEventDone, releaseEvent } = require('./event-ledger');
+const { listCollections, getCollectionConfig } = require('./collection-registry');
+const { getWriteVersions, getKindCollection, getCacheKey, getAllVersionKeys, readEntry, writeEntry } = require('./cache-keys');
+const { scanKeys, escapeGlob } = require('./redis-scan');
+const { namespaceKey } = require('./key-namespace');
+const { getLocalSummaryConfig, shouldReplaceSummary, getReusableSummary, computeLocalSummary } = require('./local-summary');
+const { getActiveChildrenConfig, recordActiveChild, listActiveChildren, getRefreshReason } = require('./active-children');
+const { isIncrementalDaylog, reconciledDaylogFields, getReconciledDaylog, applyDaylogChange } = require('./daylog-updater');
+const { getSkipReason } = require('./field-changes');
+const { ProcessingError, ValidationError, UpstreamAuthError, RedisUnavailable, DecodeError, classifyError } = require('./errors');
 
 // Initialize Firebase Admin
 admin.initializeApp({
@@ -49,17 +64,28 @@ async function getRedisClient() {
       console.error('Redis Client Error:', err);
     });
     
-    await redisClient.connect();
+    try {
+      await redisClient.connect();
+    } catch (error) {
+      // Let the next call try a fresh connection
+      redisClient = null;
+      throw new RedisUnavailable(`Could not connect to Redis: ${error.message}`, { cause: error });
+    }
     console.log('Connected to Redis successfully');
   }
   
   return redisClient;
 }
 
-// Helper function to process Firestore events
+// Upstream circuit breakers and the concurrency limit share state through Redis
+setRedisClientProvider(getRedisClient);
+
+// Helper function to process Firestore events.
+// Resolves to the skip reason (field-changes.js) when the event needed no refresh.
 async function processFirestoreEvent(cloudEvent, collectionName) {
   try {
     console.log('Processing event for collection:', collectionName);
+    const collectionConfig = getCollectionConfig(collectionName);
     console.log('Event type:', cloudEvent.type);
     console.log('Event subject:', cloudEvent.subject);
     
@@ -90,7 +116,7 @@ async function processFirestoreEvent(cloudEvent, collectionName) {
           console.log('Parsed as JSON successfully');
         } catch (e2) {
           console.error('Failed to parse as JSON:', e2.message);
-          throw new Error('Unable to decode event data');
+          throw new DecodeError('Unable to decode event data', { cause: e2 });
         }
       }
     } else if (typeof eventData === 'object' && eventData !== null) {
@@ -126,84 +152,73 @@ async function processFirestoreEvent(cloudEvent, collectionName) {
     let documentData = {};
     let eventType = 'unknown';
     
-    if (eventData && eventData.value && eventData.value.fields) {
-      // Document data is in value.fields
-      const fields = eventData.value.fields;
-      console.log('Available fields:', Object.keys(fields));
-      
-      // Convert Firestore fields to regular JS object
-      documentData = {};
-      for (const [key, value] of Object.entries(fields)) {
-        if (value.stringValue !== undefined) {
-          documentData[key] = value.stringValue;
-        } else if (value.integerValue !== undefined) {
-          documentData[key] = parseInt(value.integerValue);
-        } else if (value.doubleValue !== undefined) {
-          documentData[key] = value.doubleValue;
-        } else if (value.booleanValue !== undefined) {
-          documentData[key] = value.booleanValue;
-        } else if (value.timestampValue !== undefined) {
-          documentData[key] = new Date(value.timestampValue);
-        } else if (value.mapValue && value.mapValue.fields) {
-          // Handle nested maps
-          documentData[key] = {};
-          for (const [nestedKey, nestedValue] of Object.entries(value.mapValue.fields)) {
-            if (nestedValue.stringValue !== undefined) {
-              documentData[key][nestedKey] = nestedValue.stringValue;
-            }
-          }
-        } else if (value.arrayValue && value.arrayValue.values) {
-          // Handle arrays
-          documentData[key] = value.arrayValue.values.map(v => {
-            if (v.stringValue !== undefined) return v.stringValue;
-            if (v.integerValue !== undefined) return parseInt(v.integerValue);
-            return v;
-          });
-        }
-      }
-      
+    const hasCurrentDocument = !!(eventData && eventData.value &&
+      (eventData.value.name || eventData.value.fields));
+    const hasPreviousDocument = !!(eventData && eventData.oldValue && eventData.oldValue.name);
+    
+    if (hasCurrentDocument || hasPreviousDocument) {
       // Determine event type from oldValue and value
-      if (!eventData.oldValue || !eventData.oldValue.name) {
+      if (!hasPreviousDocument) {
         eventType = 'created';
-      } else if (!eventData.value || !eventData.value.name) {
+      } else if (!hasCurrentDocument) {
         eventType = 'deleted';
       } else {
         eventType = 'updated';
       }
+      
+      // On delete the value is empty, so the identifiers come from oldValue
+      const sourceDocument = eventType === 'deleted' ? eventData.oldValue : eventData.value;
+      const fields = sourceDocument.fields || {};
+      console.log('Available fields:', Object.keys(fields));
+      
+      // Convert Firestore fields to regular JS object (all types, any depth)
+      documentData = fromFirestoreFields(fields);
     } else {
       console.log('WARNING: No value.fields found in event data');
       console.log('Event data structure:', JSON.stringify(eventData, null, 2));
     }
     
     console.log(`Event type: ${eventType}`);
-    console.log('Document data:', JSON.stringify(documentData));
+    console.log('Document data:', serializeForRedis(documentData));
     
-    // If document was deleted, skip processing
-    if (eventType === 'deleted') {
-      console.log('Document was deleted, skipping processing');
-      return;
+    // Updates of fields the cache does not depend on (or of nothing at all)
+    // are acknowledged without calling the APIs or touching the cache
+    const skipReason = getSkipReason(collectionConfig, eventType, eventData);
+    if (skipReason) {
+      const changed = skipReason.fields.length > 0 ? `changed: ${skipReason.fields.join(', ')}` : 'no field changed';
+      console.log(`Skipping refresh for ${cloudEvent.subject} (${skipReason.reasonCode}) - ${changed}`);
+      return skipReason;
     }
     
+    // Every cache write is stamped with this, so a late older event can't overwrite newer data
+    const sourceVersion = getEventSourceVersion(cloudEvent, eventData, eventType);
+    console.log(`Source version: ${sourceVersion}`);
+    
     // Extract parentId and childId from document
     const parentId = documentData.parentId;
     const childId = documentData.childId;
     
-    // childId is mandatory
-    if (!childId) {
+    // Required fields come from the collection registry (childId is always required)
+    const missingFields = collectionConfig.requiredFields.filter(
+      field => documentData[field] === undefined || documentData[field] === null || documentData[field] === ''
+    );
+    if (missingFields.length > 0) {
       const errorDetails = {
-        hasChildId: !!childId,
+        missingFields,
         childIdValue: childId || 'NOT_FOUND',
         documentDataKeys: Object.keys(documentData),
-        documentData: JSON.stringify(documentData).substring(0, 200),
+        documentData: serializeForRedis(documentData).substring(0, 200),
         collectionName: collectionName,
         eventSubject: cloudEvent.subject,
         documentPath: cloudEvent.subject ? cloudEvent.subject.split('/').slice(-1)[0] : 'unknown'
       };
       
-      console.error('CRITICAL: Missing required childId in document:', errorDetails);
-      console.error(`Document ${errorDetails.documentPath} in collection ${collectionName} is missing required childId!`);
+      console.error(`CRITICAL: Missing required ${missingFields.join(', ')} in document:`, errorDetails);
+      console.error(`Document ${errorDetails.documentPath} in collection ${collectionName} is missing required ${missingFields.join(', ')}!`);
       
-      throw new Error(`Missing required field childId. Document: ${errorDetails.documentPath}`);
+      throw new ValidationError(`Missing required field ${missingFields.join(', ')}. Document: ${errorDetails.documentPath}`, {
+        reasonCode: 'missing_required_field'
+      });
     }
     
     // Log if parentId is missing (but don't fail)
@@ -213,13 +228,26 @@ async function processFirestoreEvent(cloudEvent, collectionName) {
     
     console.log(`Processing event for parent: ${parentId || 'NONE'}, child: ${childId}`);
     
-    // Get authentication token only if parentId is available
+    // A deleted child profile takes every cached copy of the profile with it
+    if (eventType === 'deleted' && collectionConfig.kind === 'profile' && collectionConfig.purgeOnDelete) {
+      await purgeProfileRedisCache(parentId, childId, collectionName);
+      console.log('Event processed successfully');
+      return;
+    }
+    
+    // Get authentication token only if the collection needs one and parentId is available
     let token = null;
-    if (parentId) {
+    if (!collectionConfig.upstream.includes('token')) {
+      console.log(`Collection ${collectionName} makes no authenticated API calls`);
+    } else if (parentId) {
       try {
         token = await getAuthToken(parentId);
       } catch (error) {
         console.error(`Failed to get auth token for parentId ${parentId}:`, error.message);
+        // Open circuit or no free upstream slot: defer the event rather than degrade it
+        if (error.retryable) {
+          throw error;
+        }
         // Continue without token for documents without parentId
         console.warn('Continuing without authentication token');
       }
@@ -228,38 +256,69 @@ async function processFirestoreEvent(cloudEvent, collectionName) {
     }
     
     // Check if this is a profile-related collection
-    if (collectionName === 'child_profile' || collectionName === 'child_questionnaire') {
+    if (collectionConfig.kind === 'profile') {
       // For profile collections, we need parentId for authentication
-      if (!parentId || !token) {
+      if (!parentId) {
         console.error('Cannot process profile collection without parentId for authentication');
-        throw new Error('Profile collections require parentId for authentication');
+        throw new ValidationError('Profile collections require parentId for authentication', {
+          reasonCode: 'missing_parent_id'
+        });
+      }
+      if (!token) {
+        throw new UpstreamAuthError(`No auth token available for parent ${parentId}`, {
+          reasonCode: 'token_unavailable'
+        });
       }
       
-      // Fetch child profile data
-      const childProfile = await getChildProfile(parentId, childId, token);
-      
-      // Store profile data in Redis
-      await updateProfileRedisCache(parentId, childId, {
-        profile: childProfile,
-        lastUpdated: new Date().toISOString(),
-        eventSource: collectionName
-      });
+      await refreshProfileCache(parentId, childId, token, documentData, collectionName, sourceVersion);
+    } else if (collectionConfig.kind === 'raw') {
+      // Raw collections cache the document itself, no API calls
+      if (eventType === 'deleted') {
+        await invalidateActivityRedisCache(parentId, childId, collectionName);
+      } else {
+        await updateRedisCache(null, childId, {
+          eventData: documentData,
+          sourceVersion,
+          lastUpdated: new Date().toISOString(),
+          eventSource: collectionName,
+          processingMode: 'raw'
+        });
+      }
     } else {
       // For activity collections
       if (parentId && token) {
-        // Full processing with authentication
-        const [last7daySummary, currentDayLogs] = await Promise.all([
-          getLast7daySummary(parentId, childId, token),
-          getCurrentDayLogs(parentId, childId, token)
-        ]);
+        // Full processing with authentication. Deletes take the same path:
+        // the upstream APIs no longer count the deleted document, so a
+        // recompute drops it from the cached summary and day log.
+        // Bursts of writes for the same child share a single refresh.
+        const client = await getRedisClient();
         
-        // Store activity data in Redis
-        await updateRedisCache(parentId, childId, {
-          last7daySummary,
-          currentDayLogs,
-          lastUpdated: new Date().toISOString(),
-          eventSource: collectionName
-        });
+        // The document goes straight into the cached day log; the refresh
+        // then only refetches the day log when it is due for reconciliation
+        if (isIncrementalDaylog(collectionConfig)) {
+          const documentId = getDocumentId(cloudEvent, eventData, eventType);
+          const outcome = await applyDaylogChange(client, collectionConfig, {
+            childId,
+            documentId,
+            eventType,
+            document: documentData,
+            sourceVersion
+          });
+          console.log(`Incremental day log update for ${documentId}: ${outcome}`);
+        }
+        
+        // Keeps the child's keys warm through the scheduled refresh
+        if (!collectionConfig.testData) {
+          await recordActiveChild(client, collectionName, parentId, childId);
+        }
+        
+        await coalesceRefresh(client, { parentId, childId }, sourceVersion,
+          (refreshVersion) => refreshActivityCache(parentId, childId, token, documentData, collectionName, refreshVersion));
+      } else if (eventType === 'deleted') {
+        // Without a token we cannot recompute, so drop everything that may
+        // still count the deleted document and let the next write rebuild it
+        console.warn('Limited processing mode - invalidating cached activity data');
+        await invalidateActivityRedisCache(parentId, childId, collectionName);
       } else {
         // Limited processing without authentication - just cache the event data
         console.warn('Limited processing mode - caching event data only');
@@ -267,6 +326,7 @@ async function processFirestoreEvent(cloudEvent, collectionName) {
         // Store minimal data in Redis (using childId only)
         await updateRedisCache(null, childId, {
           eventData: documentData,
+          sourceVersion,
           lastUpdated: new Date().toISOString(),
           eventSource: collectionName,
           processingMode: 'limited_no_auth'
@@ -281,24 +341,309 @@ async function processFirestoreEvent(cloudEvent, collectionName) {
   }
 }
 
-// Get authentication token from API
-async function getAuthToken(parentId) {
+// Fetch a child's profile and write it to Redis, with the timezone activity
+// refreshes will use
+async function refreshProfileCache(parentId, childId, token, documentData, collectionName, sourceVersion) {
+  const childProfile = await callWithAuthRetry(parentId, token,
+    (authToken) => getChildProfile(parentId, childId, authToken));
+  const timeZone = await resolveChildTimeZone(childId, documentData, childProfile);
+  
+  await updateProfileRedisCache(parentId, childId, {
+    profile: childProfile,
+    timeZone,
+    sourceVersion,
+    lastUpdated: new Date().toISOString(),
+    eventSource: collectionName
+  });
+}
+
+// ID of the document an event is about (the last segment of its path)
+function getDocumentId(cloudEvent, eventData, eventType) {
+  const document = eventType === 'deleted' ? eventData.oldValue : eventData.value;
+  const documentPath = (document && document.name) || cloudEvent.subject || '';
+  return documentPath.split('/').slice(-1)[0];
+}
+
+// Fetch summary and current day logs for a child and write them to Redis.
+// reconcileDaylog fetches the day log even when it is maintained incrementally.
+async function refreshActivityCache(parentId, childId, token, documentData, collectionName, sourceVersion, { reconcileDaylog = false } = {}) {
+  const collectionConfig = getCollectionConfig(collectionName);
+  const { upstream } = collectionConfig;
+  // Collections allowed the profile call re-resolve an expired profile timezone
+  const timeZone = await resolveChildTimeZone(childId, documentData, null,
+    upstream.includes('childProfile') ? { parentId, token } : null);
+  
+  // An incrementally maintained day log that is not due for reconciliation
+  // stands in for the current-logs call
+  const cachedDaylog = upstream.includes('currentLogs') && !reconcileDaylog
+    ? await getReconciledDaylog(await getRedisClient(), collectionConfig, childId, timeZone)
+    : null;
+  if (cachedDaylog) {
+    console.log(`Day log for child ${childId} is maintained incrementally, last reconciled at ${cachedDaylog.reconciledAt}`);
+  }
+  
+  // Only the calls the collection registry lists are made; the others are left out
+  const skipped = Promise.resolve(undefined);
+  const [summaryResult, currentLogsResult] = await Promise.allSettled([
+    upstream.includes('summary')
+      ? callWithAuthRetry(parentId, token,
+        (authToken) => getLast7daySummary(parentId, childId, authToken, timeZone))
+      : skipped,
+    upstream.includes('currentLogs') && !cachedDaylog
+      ? callWithAuthRetry(parentId, token,
+        (authToken) => getCurrentDayLogs(parentId, childId, authToken, timeZone))
+      : skipped
+  ]);
+  
+  // A failed call leaves its field out, so the cached value is kept (marked stale)
+  const activityData = {
+    timeZone,
+    sourceVersion,
+    lastUpdated: new Date().toISOString(),
+    eventSource: collectionName
+  };
+  const upstreamErrors = {};
+  if (summaryResult.status === 'fulfilled') {
+    activityData.last7daySummary = summaryResult.value;
+  } else {
+    upstreamErrors.summary = summaryResult.reason;
+    const localSummary = await getLocalSummaryFallback(collectionConfig, childId, timeZone, summaryResult.reason);
+    if (localSummary) {
+      activityData.localSummary = localSummary;
+    }
+  }
+  if (cachedDaylog) {
+    activityData.cachedDayLogs = cachedDaylog.data;
+  } else if (currentLogsResult.status === 'fulfilled') {
+    activityData.currentDayLogs = currentLogsResult.value;
+  } else {
+    upstreamErrors.currentLogs = currentLogsResult.reason;
+  }
+  
+  // Store activity data in Redis
+  await updateRedisCache(parentId, childId, activityData, upstreamErrors);
+  
+  // Surface the upstream failure so the event can be retried (a local summary
+  // only covers until the API summary is back)
+  const upstreamFailure = upstreamErrors.summary || upstreamErrors.currentLogs;
+  if (upstreamFailure) {
+    throw upstreamFailure;
+  }
+}
+
+// 7-day summary computed from Firestore when the summary API is down and the
+// cached summary is missing or too old (see local-summary.js); null otherwise
+async function getLocalSummaryFallback(collectionConfig, childId, timeZone, error) {
+  if (!getLocalSummaryConfig().enabled || !classifyError(error).retryable) {
+    return null;
+  }
+  
   try {
-    console.log(`Getting authentication token for parent: ${parentId}`);
+    const client = await getRedisClient();
+    const cached = await readEntry(client, collectionConfig, 'summary', { childId });
+    if (!shouldReplaceSummary(cached && cached.entry)) {
+      console.log(`Keeping the cached API summary for child ${childId} instead of a local one`);
+      return null;
+    }
     
-    const response = await axios.get(
-      `https://api-3sfdwjc2da-uc.a.run.app/chatAssistant/token/${parentId}`,
-      {
-        timeout: 10000,
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
+    // Retries during an outage reuse the summary the last attempt computed
+    const reusable = getReusableSummary(cached && cached.entry, timeZone);
+    if (reusable) {
+      console.log(`Reusing the local summary computed at ${reusable.computedAt} for child ${childId}`);
+      return reusable;
+    }
+    
+    const summary = await computeLocalSummary(admin.firestore(), childId, timeZone);
+    console.warn(`Summary API unavailable, using a summary computed from Firestore for child: ${childId}`);
+    return summary;
+  } catch (localError) {
+    // The cached summary is marked stale as if there were no fallback
+    console.error(`Failed to compute local summary for child ${childId}:`, localError.message);
+    return null;
+  }
+}
+
+// Resolve the timezone a child's day boundaries are computed in.
+// Order: the triggering document, the freshly fetched profile, the profile
+// cached in Redis, the profile fetched from the API (with lookup = { parentId,
+// token }), then the configured default.
+async function resolveChildTimeZone(childId, documentData, childProfile = null, lookup = null) {
+  const fromDocument = extractTimeZone(documentData);
+  if (fromDocument) {
+    console.log(`Using timezone ${fromDocument} from document for child: ${childId}`);
+    return fromDocument;
+  }
+  
+  const fromProfile = extractTimeZone(childProfile);
+  if (fromProfile) {
+    console.log(`Using timezone ${fromProfile} from profile for child: ${childId}`);
+    return fromProfile;
+  }
+  
+  if (!childProfile) {
+    try {
+      const client = await getRedisClient();
+      const cachedProfile = await readEntry(client, getKindCollection('profile'), 'profile', { childId });
+      if (cachedProfile) {
+        const fromCache = extractTimeZone(cachedProfile.entry) || extractTimeZone(cachedProfile.entry.data);
+        if (fromCache) {
+          console.log(`Using timezone ${fromCache} from cached profile for child: ${childId}`);
+          return fromCache;
         }
       }
-    );
+    } catch (error) {
+      console.warn(`Could not read cached profile timezone for child ${childId}:`, error.message);
+    }
+    
+    // The cached profile expired: fetch it again rather than silently
+    // computing the child's day in the default timezone, unless a recent
+    // fetch found no timezone
+    if (lookup && lookup.parentId && lookup.token && !(await isTimeZoneMissing(childId))) {
+      const fromApi = await fetchProfileTimeZone(lookup.parentId, childId, lookup.token);
+      if (fromApi) {
+        console.log(`Using timezone ${fromApi} from fetched profile for child: ${childId}`);
+        return fromApi;
+      }
+    }
+  }
+  
+  const fallback = getDefaultTimeZone();
+  console.warn(`No timezone known for child ${childId} - using default timezone ${fallback}`);
+  return fallback;
+}
+
+// How long a profile fetch that found no timezone (none set, or no profile)
+// keeps the child on the default timezone before the profile is fetched again
+const DEFAULT_TIMEZONE_MISS_SECONDS = 3600;
+
+function timeZoneMissKey(childId) {
+  return namespaceKey(`timezone:missing:${childId}`);
+}
+
+async function isTimeZoneMissing(childId) {
+  try {
+    const client = await getRedisClient();
+    return (await client.get(timeZoneMissKey(childId))) !== null;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function recordTimeZoneMissing(childId) {
+  const ttl = parseInt(process.env.TIMEZONE_MISS_SECONDS || DEFAULT_TIMEZONE_MISS_SECONDS);
+  try {
+    const client = await getRedisClient();
+    await client.set(timeZoneMissKey(childId), '1', { expiration: { type: 'EX', value: ttl } });
+  } catch (error) {
+    console.warn(`Could not record the missing timezone of child ${childId}:`, error.message);
+  }
+}
+
+// Fetch a child's profile for its timezone and cache it again. The copy is
+// written with the lowest source version, so any profile event replaces it.
+// Resolves to null when the profile or its timezone is unavailable; a profile
+// without a timezone, or none at all, is remembered for a while (see
+// isTimeZoneMissing) so every event does not fetch it again.
+async function fetchProfileTimeZone(parentId, childId, token) {
+  try {
+    const childProfile = await callWithAuthRetry(parentId, token,
+      (authToken) => getChildProfile(parentId, childId, authToken));
+    const timeZone = extractTimeZone(childProfile);
+    if (timeZone) {
+      await updateProfileRedisCache(parentId, childId, {
+        profile: childProfile,
+        timeZone,
+        sourceVersion: '',
+        lastUpdated: new Date().toISOString(),
+        eventSource: getKindCollection('profile').name
+      });
+    } else {
+      await recordTimeZoneMissing(childId);
+    }
+    return timeZone;
+  } catch (error) {
+    console.warn(`Could not fetch the profile timezone for child ${childId}:`, error.message);
+    // Transient failures are tried again by the next event
+    if (!classifyError(error).retryable) {
+      await recordTimeZoneMissing(childId);
+    }
+    return null;
+  }
+}
+
+// Token requests in flight on this instance, so concurrent callers share one
+const pendingTokenRequests = new Map();
+
+// Redis client for the shared token cache, only when that cache is enabled
+async function getTokenRedisClient() {
+  if (!getTokenCacheConfig().useRedis) {
+    return null;
+  }
+  
+  try {
+    return await getRedisClient();
+  } catch (error) {
+    console.warn('Token cache Redis unavailable:', error.message);
+    return null;
+  }
+}
+
+// Get authentication token, from the token cache when a usable one exists
+async function getAuthToken(parentId, { forceRefresh = false } = {}) {
+  const tokenRedisClient = await getTokenRedisClient();
+  
+  if (!forceRefresh) {
+    const cachedToken = await getCachedToken(parentId, tokenRedisClient);
+    if (cachedToken) {
+      console.log(`Using cached authentication token for parent: ${parentId}`);
+      return cachedToken;
+    }
+  }
+  
+  if (!pendingTokenRequests.has(parentId)) {
+    const request = fetchAuthToken(parentId)
+      .then(async (token) => {
+        await cacheToken(parentId, token, tokenRedisClient);
+        return token;
+      })
+      .finally(() => pendingTokenRequests.delete(parentId));
+    pendingTokenRequests.set(parentId, request);
+  }
+  
+  return pendingTokenRequests.get(parentId);
+}
+
+// Drop a token the API rejected so the next call fetches a new one
+async function invalidateAuthToken(parentId) {
+  await invalidateCachedToken(parentId, await getTokenRedisClient());
+}
+
+// Run an authenticated API call; on a 401 the cached token is invalidated
+// and the call is retried once with a freshly issued token
+async function callWithAuthRetry(parentId, token, call) {
+  try {
+    return await call(token);
+  } catch (error) {
+    if (!error.response || error.response.status !== 401) {
+      throw error;
+    }
+    
+    console.warn(`API rejected token for parent ${parentId} (401), refreshing and retrying once`);
+    await invalidateAuthToken(parentId);
+    const freshToken = await getAuthToken(parentId, { forceRefresh: true });
+    return call(freshToken);
+  }
+}
+
+// Fetch a new authentication token from API
+async function fetchAuthToken(parentId) {
+  try {
+    console.log(`Getting authentication token for parent: ${parentId}`);
+    
+    const response = await requestAuthToken(parentId);
     
     if (!response.data || !response.data.token) {
-      throw new Error('API response missing token field');
+      throw new UpstreamAuthError('API response missing token field', { reasonCode: 'token_missing' });
     }
     
     console.log('Authentication token retrieved successfully');
@@ -310,65 +655,34 @@ async function getAuthToken(parentId) {
 }
 
 // Get last 7 days summary
-async function getLast7daySummary(parentId, childId, token) {
+async function getLast7daySummary(parentId, childId, token, timeZone) {
   try {
-    console.log(`Getting 7-day summary for parent: ${parentId}, child: ${childId}`);
-    
-    const response = await axios.post(
-      'https://api-3sfdwjc2da-uc.a.run.app/chatAssistant/summary',
-      {
-        childId,
-        parentId,
-        timeZone: 'America/Los_Angeles',
-        flType: 'ML'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      }
-    );
+    console.log(`Getting 7-day summary for parent: ${parentId}, child: ${childId}, timezone: ${timeZone}`);
+    
+    const response = await requestSummary(parentId, childId, timeZone, token);
     
     console.log('Successfully retrieved 7-day summary');
     return response.data;
   } catch (error) {
     console.error('Error fetching 7-day summary:', error.message);
-    return [];
+    // No empty fallback: the caller keeps the cached summary and marks it stale
+    throw error;
   }
 }
 
 // Get current day logs
-async function getCurrentDayLogs(parentId, childId, token) {
+async function getCurrentDayLogs(parentId, childId, token, timeZone) {
   try {
-    console.log(`Getting current day logs for parent: ${parentId}, child: ${childId}`);
+    console.log(`Getting current day logs for parent: ${parentId}, child: ${childId}, timezone: ${timeZone}`);
     
-    const response = await axios.post(
-      'https://api-3sfdwjc2da-uc.a.run.app/chatAssistant/current-logs',
-      {
-        childId,
-        timeZone: 'America/Los_Angeles'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      }
-    );
+    const response = await requestCurrentLogs(childId, timeZone, token);
     
     console.log('Successfully retrieved current day logs');
     return response.data;
   } catch (error) {
     console.error('Error fetching current day logs:', error.message);
-    return {
-      sleep: [],
-      feed: [],
-      diaper: [],
-      pumping: []
-    };
+    // No empty fallback: the caller keeps the cached day log and marks it stale
+    throw error;
   }
 }
 
@@ -377,16 +691,7 @@ async function getChildProfile(parentId, childId, token) {
   try {
     console.log(`Getting child profile for parent: ${parentId}, child: ${childId}`);
     
-    const response = await axios.get(
-      `https://api-3sfdwjc2da-uc.a.run.app/child-profile/${childId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      }
-    );
+    const response = await requestChildProfile(childId, token);
     
     // Validate required fields
     const requiredFields = ['name', 'dateOfBirth', 'gender'];
@@ -395,7 +700,9 @@ async function getChildProfile(parentId, childId, token) {
     );
     
     if (missingFields.length > 0) {
-      throw new Error(`API response missing required fields: ${missingFields.join(', ')}`);
+      throw new ValidationError(`API response missing required fields: ${missingFields.join(', ')}`, {
+        reasonCode: 'invalid_upstream_response'
+      });
     }
     
     console.log('Successfully retrieved child profile');
@@ -406,50 +713,145 @@ async function getChildProfile(parentId, childId, token) {
   }
 }
 
-// Update Redis cache with activity data
-async function updateRedisCache(parentId, childId, data) {
+// Describe an upstream failure for the stale-while-revalidate metadata
+function describeUpstreamError(error) {
+  return {
+    message: error.message,
+    status: error.response ? error.response.status : null,
+    code: error.code || null,
+    reasonCode: classifyError(error).reasonCode,
+    at: new Date().toISOString()
+  };
+}
+
+// Keep an existing cache entry but flag it as stale after a failed refresh.
+// The TTL is left untouched, so the entry still expires on its original schedule.
+// The entry keeps its own sourceVersion, and the compare-and-set loses to
+// any newer value written since it was read. `fresh` holds whatever did
+// refresh; its data is merged into the entry's data.
+// Resolves to the keys marked stale (one per written schema version).
+async function markCacheEntryStale(client, collectionConfig, keyName, params, error, fresh = {}) {
+  const keysMarked = [];
+  
+  for (const version of getWriteVersions()) {
+    const existing = await readEntry(client, collectionConfig, keyName, params, { versions: [version] });
+    if (!existing) {
+      const { key } = getCacheKey(collectionConfig, keyName, params, version);
+      console.warn(`No cached value for ${key} to keep after upstream failure`);
+      continue;
+    }
+    
+    const current = existing.entry;
+    const entry = {
+      ...current,
+      ...fresh,
+      data: fresh.data ? { ...current.data, ...fresh.data } : current.data,
+      sourceVersion: current.sourceVersion,
+      stale: true,
+      lastError: describeUpstreamError(error)
+    };
+    keysMarked.push(...await writeEntry(client, collectionConfig, keyName, params, entry, {
+      ttl: 'KEEPTTL',
+      versions: [version]
+    }));
+  }
+  
+  return keysMarked;
+}
+
+// Update Redis cache with activity data.
+// upstreamErrors holds the failed calls (summary, currentLogs): their keys
+// keep the last good value with stale metadata instead of being overwritten.
+// localSummary is the Firestore fallback for a failed summary call: it is
+// cached like an API summary, with the API error as lastError.
+// cachedDayLogs is an incrementally maintained day log that was not refetched:
+// its key is left alone and it is only copied into the parent-child key.
+// Key names and value shapes come from cache-keys.js.
+async function updateRedisCache(parentId, childId, data, upstreamErrors = {}) {
   const client = await getRedisClient();
+  // Keys and TTLs come from the registry entry of the collection that triggered the write
+  const collectionConfig = getCollectionConfig(data.eventSource);
   
   try {
-    // If we have full data (with authentication)
-    if (data.last7daySummary && data.currentDayLogs) {
-      // Store summary data (24 hour TTL)
-      const summaryKey = `summary:${childId}`;
-      await client.setEx(summaryKey, 86400, JSON.stringify({
-        data: data.last7daySummary,
-        expiresAt: Date.now() + 86400000
-      }));
-      
-      // Store day log data (30 minute TTL)
-      const dayLogKey = `daylog:${childId}`;
-      await client.setEx(dayLogKey, 1800, JSON.stringify({
-        data: data.currentDayLogs,
-        expiresAt: Date.now() + 1800000
+    const lastSuccessAt = new Date().toISOString();
+    const keysCreated = [];
+    const keysMarkedStale = [];
+    
+    // Fields every key written by this refresh carries
+    const common = {
+      timeZone: data.timeZone,
+      sourceVersion: data.sourceVersion,
+      lastUpdated: data.lastUpdated,
+      eventSource: data.eventSource
+    };
+    const freshEntry = (keyName, entryData) => ({
+      ...common,
+      data: entryData,
+      stale: false,
+      lastSuccessAt,
+      expiresAt: Date.now() + collectionConfig.keys[keyName].ttl * 1000
+    });
+    
+    // Store summary data
+    if (data.last7daySummary !== undefined) {
+      keysCreated.push(...await writeEntry(client, collectionConfig, 'summary', { childId },
+        freshEntry('summary', data.last7daySummary)));
+    } else if (data.localSummary !== undefined) {
+      keysCreated.push(...await writeEntry(client, collectionConfig, 'summary', { childId }, {
+        ...freshEntry('summary', data.localSummary),
+        lastError: describeUpstreamError(upstreamErrors.summary)
       }));
+    } else if (upstreamErrors.summary) {
+      keysMarkedStale.push(...await markCacheEntryStale(client, collectionConfig, 'summary', { childId },
+        upstreamErrors.summary));
+    }
+    
+    // Store day log data; in incremental mode this is a reconciliation
+    if (data.currentDayLogs !== undefined) {
+      const daylogEntry = freshEntry('daylog', data.currentDayLogs);
+      if (isIncrementalDaylog(collectionConfig)) {
+        Object.assign(daylogEntry, reconciledDaylogFields(data.timeZone, data.sourceVersion));
+      }
+      keysCreated.push(...await writeEntry(client, collectionConfig, 'daylog', { childId }, daylogEntry));
+    } else if (upstreamErrors.currentLogs) {
+      keysMarkedStale.push(...await markCacheEntryStale(client, collectionConfig, 'daylog', { childId },
+        upstreamErrors.currentLogs));
     }
     
     // Store combined data for parent-child pair only if parentId exists
     if (parentId) {
-      const combinedKey = `parent:${parentId}:child:${childId}`;
-      await client.setEx(combinedKey, 3600, JSON.stringify(data));
+      const combinedData = {};
+      if (data.last7daySummary !== undefined) combinedData.last7daySummary = data.last7daySummary;
+      else if (data.localSummary !== undefined) combinedData.last7daySummary = data.localSummary;
+      if (data.currentDayLogs !== undefined) combinedData.currentDayLogs = data.currentDayLogs;
+      else if (data.cachedDayLogs !== undefined) combinedData.currentDayLogs = data.cachedDayLogs;
+      // A local summary covers for a failed summary call
+      const summaryFailure = data.localSummary === undefined ? upstreamErrors.summary : null;
+      const upstreamFailure = summaryFailure || upstreamErrors.currentLogs;
+      
+      if (!upstreamFailure) {
+        keysCreated.push(...await writeEntry(client, collectionConfig, 'parentChild', { parentId, childId },
+          freshEntry('parentChild', combinedData)));
+      } else {
+        // Whatever did refresh is merged in; the rest keeps its last good value
+        keysMarkedStale.push(...await markCacheEntryStale(client, collectionConfig, 'parentChild', { parentId, childId },
+          upstreamFailure, { ...common, data: combinedData }));
+      }
     } else {
       // For documents without parentId, store under a special key
-      const limitedKey = `limited:child:${childId}:${data.eventSource}`;
-      await client.setEx(limitedKey, 3600, JSON.stringify(data));
+      keysCreated.push(...await writeEntry(client, collectionConfig, 'limited', { childId }, {
+        ...common,
+        data: data.eventData,
+        processingMode: data.processingMode,
+        expiresAt: Date.now() + collectionConfig.keys.limited.ttl * 1000
+      }));
     }
     
     console.log(`Updated Redis cache for parent: ${parentId || 'NONE'}, child: ${childId}`);
-    
-    // Log created keys
-    const keysCreated = [];
-    if (data.last7daySummary) keysCreated.push(`summary:${childId}`);
-    if (data.currentDayLogs) keysCreated.push(`daylog:${childId}`);
-    if (parentId) {
-      keysCreated.push(`parent:${parentId}:child:${childId}`);
-    } else {
-      keysCreated.push(`limited:child:${childId}:${data.eventSource}`);
+    console.log(`Keys created: ${keysCreated.join(', ') || 'none'}`);
+    if (keysMarkedStale.length > 0) {
+      console.warn(`Keys kept as stale after upstream failure: ${keysMarkedStale.join(', ')}`);
     }
-    console.log(`Keys created: ${keysCreated.join(', ')}`);
   } catch (error) {
     console.error('Redis update failed:', error);
     throw error;
@@ -459,36 +861,159 @@ async function updateRedisCache(parentId, childId, data) {
 // Update Redis cache with profile data
 async function updateProfileRedisCache(parentId, childId, data) {
   const client = await getRedisClient();
+  const collectionConfig = getCollectionConfig(data.eventSource);
   
   try {
-    // Store child profile data (24 hour TTL)
-    const profileKey = `profile:${childId}`;
-    await client.setEx(profileKey, 86400, JSON.stringify({
+    const profileEntry = keyName => ({
       data: data.profile,
-      expiresAt: Date.now() + 86400000
-    }));
+      timeZone: data.timeZone,
+      sourceVersion: data.sourceVersion,
+      lastUpdated: data.lastUpdated,
+      eventSource: data.eventSource,
+      expiresAt: Date.now() + collectionConfig.keys[keyName].ttl * 1000
+    });
+    
+    // Store child profile data
+    const keysCreated = await writeEntry(client, collectionConfig, 'profile', { childId },
+      profileEntry('profile'));
     
-    // Store profile data with parent-child key (24 hour TTL)
-    const parentChildProfileKey = `profile:parent:${parentId}:child:${childId}`;
-    await client.setEx(parentChildProfileKey, 86400, JSON.stringify(data));
+    // Store profile data with parent-child key
+    keysCreated.push(...await writeEntry(client, collectionConfig, 'parentChildProfile', { parentId, childId },
+      profileEntry('parentChildProfile')));
     
     console.log(`Updated Redis profile cache for parent: ${parentId}, child: ${childId}`);
-    console.log(`Keys created: ${profileKey}, ${parentChildProfileKey}`);
+    console.log(`Keys created: ${keysCreated.join(', ') || 'none'}`);
   } catch (error) {
     console.error('Redis profile update failed:', error);
     throw error;
   }
 }
 
+// Drop cached activity data that can no longer be trusted after a delete
+async function invalidateActivityRedisCache(parentId, childId, collectionName) {
+  const client = await getRedisClient();
+  const collectionConfig = getCollectionConfig(collectionName);
+  
+  try {
+    // Every declared key this collection can write for the child, in every schema version
+    const keys = Object.keys(collectionConfig.keys)
+      .filter(keyName => parentId || !collectionConfig.keys[keyName].key.includes('{parentId}'))
+      .flatMap(keyName => getAllVersionKeys(collectionConfig, keyName, { parentId, childId }));
+    
+    // One DEL per key: in cluster mode the keys live in different slots
+    await Promise.all(keys.map(key => client.del(key)));
+    
+    console.log(`Invalidated Redis activity cache for parent: ${parentId || 'NONE'}, child: ${childId}`);
+    console.log(`Keys deleted: ${keys.join(', ')}`);
+  } catch (error) {
+    console.error('Redis invalidation failed:', error);
+    throw error;
+  }
+}
+
+// Remove every cached copy of a child's profile, in every schema version
+async function purgeProfileRedisCache(parentId, childId, collectionName) {
+  const client = await getRedisClient();
+  const collectionConfig = getCollectionConfig(collectionName);
+  
+  try {
+    // The profile may have been cached under other parents (e.g. co-parents);
+    // the ID is escaped so it matches only this child's keys
+    const keys = [];
+    for (const pattern of getAllVersionKeys(collectionConfig, 'parentChildProfile', { parentId: '*', childId: escapeGlob(childId) })) {
+      keys.push(...await scanKeys(client, pattern));
+    }
+    keys.push(...getAllVersionKeys(collectionConfig, 'profile', { childId }));
+    if (parentId) {
+      for (const parentChildProfileKey of getAllVersionKeys(collectionConfig, 'parentChildProfile', { parentId, childId })) {
+        if (!keys.includes(parentChildProfileKey)) {
+          keys.push(parentChildProfileKey);
+        }
+      }
+    }
+    
+    await Promise.all(keys.map(key => client.del(key)));
+    
+    console.log(`Purged Redis profile cache for child: ${childId}`);
+    console.log(`Keys deleted: ${keys.join(', ')}`);
+  } catch (error) {
+    console.error('Redis profile purge failed:', error);
+    throw error;
+  }
+}
+
 // Register Cloud Functions using the framework
 
-// Enhanced processFirestoreEvent with smart retry logic
-async function processFirestoreEventWithRetryLogic(cloudEvent, collectionName) {
+// Time kept back from the function timeout for the cache writes and failure
+// logging that follow the last upstream call
+const UPSTREAM_DEADLINE_MARGIN_MS = 15000;
+// deploy.sh deploys scheduledRefreshTrigger with --timeout=540s
+const SCHEDULED_REFRESH_TIMEOUT_MS = 540000;
+
+// Deadline for the upstream calls of work that must finish within `timeoutMs`
+function getUpstreamDeadline(timeoutMs) {
+  return Date.now() + timeoutMs - UPSTREAM_DEADLINE_MARGIN_MS;
+}
+
+// The collection's function timeout from collections.yaml ("120s"), in ms
+function getFunctionTimeoutMs(collectionConfig) {
+  return (parseInt(collectionConfig.deploy.timeout) || 120) * 1000;
+}
+
+// Enhanced processFirestoreEvent with smart retry logic.
+// Resolves to the outcome: { status: 'processed' | 'skipped' | 'duplicate' | 'acknowledged', reasonCode? }.
+// dlq-processor.js replays with logFailures: false and records the outcome on
+// the original failure document instead.
+async function processFirestoreEventWithRetryLogic(cloudEvent, collectionName, { logFailures = true } = {}) {
+  let claim = null;
+  
   try {
-    await processFirestoreEvent(cloudEvent, collectionName);
+    // Skip events that were already processed (Eventarc retries, DLQ redelivery)
+    if (cloudEvent.id) {
+      const client = await getRedisClient();
+      claim = await claimEvent(client, cloudEvent.id);
+      
+      if (claim.status === 'done') {
+        console.log(`Event ${cloudEvent.id} was already processed - skipping duplicate delivery`);
+        return { status: 'duplicate' };
+      }
+      
+      if (claim.status === 'in_progress') {
+        // Another attempt holds the lease; if it crashed, the lease expires and a retry gets through
+        throw new ProcessingError(`Event ${cloudEvent.id} is already being processed`, {
+          reasonCode: 'event_in_progress',
+          retryable: true
+        });
+      }
+    }
+    
+    // Token, data and retried calls together stay inside the function timeout
+    const deadline = getUpstreamDeadline(getFunctionTimeoutMs(getCollectionConfig(collectionName)));
+    const skipReason = await withUpstreamDeadline(deadline,
+      () => processFirestoreEvent(cloudEvent, collectionName));
+    
+    if (claim) {
+      try {
+        await markEventDone(await getRedisClient(), cloudEvent.id);
+      } catch (markError) {
+        // Processing succeeded; at worst a redelivery is processed again
+        console.error('Failed to mark event as done:', markError.message);
+      }
+    }
+    
+    return skipReason ? { status: 'skipped', reasonCode: skipReason.reasonCode } : { status: 'processed' };
   } catch (error) {
     console.error('Error processing event:', error);
     
+    // Release our claim so a retry (or a later replay) can process the event
+    if (claim && claim.status === 'claimed') {
+      try {
+        await releaseEvent(await getRedisClient(), cloudEvent.id, claim.owner);
+      } catch (releaseError) {
+        console.error('Failed to release event claim:', releaseError.message);
+      }
+    }
+    
     // Determine if this is a recoverable error
     const isRecoverable = shouldRetry(error, cloudEvent, collectionName);
     
@@ -503,14 +1028,16 @@ async function processFirestoreEventWithRetryLogic(cloudEvent, collectionName) {
       });
       
       // Store failed event for later analysis
-      try {
-        await logFailedEvent(cloudEvent, collectionName, error);
-      } catch (logError) {
-        console.error('Failed to log error:', logError);
+      if (logFailures) {
+        try {
+          await logFailedEvent(cloudEvent, collectionName, error);
+        } catch (logError) {
+          console.error('Failed to log error:', logError);
+        }
       }
       
       // Return successfully to acknowledge the message
-      return;
+      return { status: 'acknowledged', reasonCode: classifyError(error).reasonCode };
     }
     
     // For recoverable errors, re-throw to trigger retry
@@ -519,60 +1046,75 @@ async function processFirestoreEventWithRetryLogic(cloudEvent, collectionName) {
   }
 }
 
-// Determine if an error should trigger a retry
-function shouldRetry(error, cloudEvent, collectionName) {
-  const errorMessage = error.message || '';
-  
-  // Don't retry for validation errors
-  if (errorMessage.includes('Missing required field')) {
-    console.log('Non-recoverable: Missing required field');
-    return false;
+// TEST_DATA_SUBJECT_PATTERN, compiled once. An invalid pattern is logged and
+// ignored: throwing on the failure path would make every failure retryable.
+function compileTestDataPattern(pattern) {
+  if (!pattern) {
+    return null;
   }
-  
-  // Don't retry for test data
-  if (errorMessage.includes('12345') || 
-      errorMessage.includes('test') ||
-      (cloudEvent.subject && cloudEvent.subject.includes('test'))) {
-    console.log('Non-recoverable: Test data detected');
-    return false;
-  }
-  
-  // Don't retry for 404 errors (child not found)
-  if (error.response && error.response.status === 404) {
-    console.log('Non-recoverable: 404 Not Found');
-    return false;
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    console.error(`Ignoring invalid TEST_DATA_SUBJECT_PATTERN ${JSON.stringify(pattern)}:`, error.message);
+    return null;
   }
-  
-  // Don't retry for authentication errors
-  if (error.response && error.response.status === 401) {
-    console.log('Non-recoverable: 401 Authentication error');
-    return false;
+}
+
+const TEST_DATA_SUBJECT_PATTERN = compileTestDataPattern(process.env.TEST_DATA_SUBJECT_PATTERN);
+
+// Test-data rule: failures for test documents are acknowledged, never retried.
+// A document is test data when its collection has `testData: true` in
+// collections.yaml, or its subject matches TEST_DATA_SUBJECT_PATTERN (a regex).
+function isTestData(cloudEvent, collectionName) {
+  try {
+    if (getCollectionConfig(collectionName).testData) {
+      return true;
+    }
+  } catch (error) {
+    // Unknown collection - only the subject pattern applies
   }
   
-  // Don't retry for bad request errors
-  if (error.response && error.response.status === 400) {
-    console.log('Non-recoverable: 400 Bad Request');
+  return Boolean(TEST_DATA_SUBJECT_PATTERN && cloudEvent.subject && TEST_DATA_SUBJECT_PATTERN.test(cloudEvent.subject));
+}
+
+// Determine if an error should trigger a retry
+function shouldRetry(error, cloudEvent, collectionName) {
+  if (isTestData(cloudEvent, collectionName)) {
+    console.log('Non-recoverable: Test data');
     return false;
   }
   
-  // Retry for temporary errors
-  if (error.code === 'ECONNREFUSED' || 
-      error.code === 'ETIMEDOUT' ||
-      error.code === 'ENOTFOUND' ||
-      error.code === 'ECONNRESET') {
-    console.log('Recoverable: Network error');
-    return true;
+  const failure = classifyError(error);
+  console.log(`${failure.retryable ? 'Recoverable' : 'Non-recoverable'}: ${failure.name} (${failure.reasonCode})`);
+  return failure.retryable;
+}
+
+// Largest payload stored with a failure, keeping the document under Firestore's 1 MiB limit
+const MAX_STORED_PAYLOAD_BYTES = 700 * 1024;
+
+// The original CloudEvent, in a form dlq-processor.js can turn back into one:
+// its attributes, plus the data as base64 (protobuf) or a JSON string
+function captureCloudEvent(cloudEvent) {
+  const { data, ...attributes } = cloudEvent;
+  const captured = {};
+  for (const [name, value] of Object.entries(attributes)) {
+    if (typeof value === 'string') {
+      captured[name] = value;
+    }
   }
   
-  // Retry for 5xx server errors
-  if (error.response && error.response.status >= 500) {
-    console.log('Recoverable: Server error');
-    return true;
+  const isBuffer = Buffer.isBuffer(data);
+  const payload = isBuffer ? data.toString('base64') : JSON.stringify(data === undefined ? null : data);
+  if (Buffer.byteLength(payload) > MAX_STORED_PAYLOAD_BYTES) {
+    console.warn(`Event payload of ${Buffer.byteLength(payload)} bytes is too large to store; it cannot be replayed`);
+    return { attributes: captured, dataEncoding: null, data: null };
   }
   
-  // Default: don't retry for unknown errors
-  console.log('Non-recoverable: Unknown error type');
-  return false;
+  return {
+    attributes: captured,
+    dataEncoding: isBuffer ? 'base64' : 'json',
+    data: payload
+  };
 }
 
 // Log failed events for analysis
@@ -583,6 +1125,7 @@ async function logFailedEvent(cloudEvent, collectionName, error) {
     }
     
     const db = admin.firestore();
+    const failure = classifyError(error);
     
     const failureDoc = {
       eventId: cloudEvent.id,
@@ -601,9 +1144,14 @@ async function logFailedEvent(cloudEvent, collectionName, error) {
             : JSON.stringify(error.response.data).substring(0, 1000)
         } : null
       },
+      errorType: failure.name,
+      reasonCode: failure.reasonCode,
+      retryable: failure.retryable,
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
       acknowledged: true,
-      reason: 'non_recoverable_error'
+      reason: isTestData(cloudEvent, collectionName) ? 'test_data' : 'non_recoverable_error',
+      status: 'failed',
+      event: captureCloudEvent(cloudEvent)
     };
     
     await db.collection('processing_failures').add(failureDoc);
@@ -614,39 +1162,119 @@ async function logFailedEvent(cloudEvent, collectionName, error) {
   }
 }
 
-functions.cloudEvent('feedEventsTrigger', async (cloudEvent) => {
-  await processFirestoreEventWithRetryLogic(cloudEvent, 'feedEvents');
-});
+// Newest source version cached for a parent and child; '' (older than any
+// event) when nothing is cached
+async function getCachedSourceVersion(client, collectionConfig, parentId, childId) {
+  let newest = '';
+  for (const keyName of ['summary', 'daylog', 'parentChild']) {
+    const found = await readEntry(client, collectionConfig, keyName, { parentId, childId });
+    if (found && found.entry.sourceVersion) {
+      newest = maxSourceVersion(newest, found.entry.sourceVersion);
+    }
+  }
+  return newest;
+}
 
-functions.cloudEvent('diaperEventsTrigger', async (cloudEvent) => {
-  await processFirestoreEventWithRetryLogic(cloudEvent, 'diaperEvents');
-});
+// Refresh one recently active child if its keys are missing, about to expire
+// or from an earlier local day. Resolves to true if it was refreshed.
+async function refreshActiveChild(client, { collectionName, parentId, childId }) {
+  const collectionConfig = getCollectionConfig(collectionName);
+  // Decided from Redis alone: most runs find most children current, and
+  // those must not cost a token or profile request. The refresh itself
+  // fetches an expired profile again.
+  const timeZone = await resolveChildTimeZone(childId, {});
+  const reason = await getRefreshReason(client, collectionConfig, childId, timeZone);
+  if (!reason) {
+    return false;
+  }
+  
+  console.log(`Scheduled refresh for parent: ${parentId}, child: ${childId} (${reason})`);
+  const token = await getAuthToken(parentId);
+  // Under the pair's refresh lock, so it never races an event's refresh, and
+  // stamped with the newest version already cached rather than the local
+  // clock, so any later event still wins the compare-and-set
+  const sourceVersion = await getCachedSourceVersion(client, collectionConfig, parentId, childId);
+  const outcome = await refreshIfIdle(client, { parentId, childId }, sourceVersion,
+    (refreshVersion) => refreshActivityCache(parentId, childId, token, {}, collectionName, refreshVersion,
+      { reconcileDaylog: true }));
+  return outcome.refreshed;
+}
 
-functions.cloudEvent('sleepEventsTrigger', async (cloudEvent) => {
-  await processFirestoreEventWithRetryLogic(cloudEvent, 'sleepEvents');
-});
+// Scheduled refresh of the recently active children (see active-children.js).
+// A child that fails is logged and left for the next run; the run itself
+// only fails when Redis does.
+async function runScheduledRefresh() {
+  const client = await getRedisClient();
+  const { concurrency } = getActiveChildrenConfig();
+  const children = await listActiveChildren(client);
+  const counts = { active: children.length, refreshed: 0, current: 0, failed: 0 };
+  
+  let next = 0;
+  const worker = async () => {
+    while (next < children.length) {
+      const child = children[next++];
+      try {
+        if (await refreshActiveChild(client, child)) {
+          counts.refreshed++;
+        } else {
+          counts.current++;
+        }
+      } catch (error) {
+        counts.failed++;
+        console.error(`Scheduled refresh failed for parent: ${child.parentId}, child: ${child.childId}:`, error.message);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  
+  console.log('Scheduled refresh complete:', counts);
+  return counts;
+}
 
-functions.cloudEvent('pumpingEventsTrigger', async (cloudEvent) => {
-  await processFirestoreEventWithRetryLogic(cloudEvent, 'pumpingEvents');
-});
+// One Cloud Function per collection in the registry (collections.yaml)
+for (const { trigger, name } of listCollections()) {
+  functions.cloudEvent(trigger, async (cloudEvent) => {
+    await processFirestoreEventWithRetryLogic(cloudEvent, name);
+  });
+}
 
-functions.cloudEvent('childProfileTrigger', async (cloudEvent) => {
-  await processFirestoreEventWithRetryLogic(cloudEvent, 'child_profile');
-});
+// Refresh every cached key of a child the way events do: the profile, then
+// the activity keys, which use the profile's timezone. Used by
+// backfill-cache.js. Stamped with the time of the fetch, so data of newer
+// events still wins the compare-and-set.
+async function warmChildCache(parentId, childId) {
+  const sourceVersion = currentSourceVersion();
+  const token = await getAuthToken(parentId);
+  
+  await refreshProfileCache(parentId, childId, token, {}, getKindCollection('profile').name, sourceVersion);
+  await refreshActivityCache(parentId, childId, token, {}, getKindCollection('activity').name, sourceVersion,
+    { reconcileDaylog: true });
+}
 
-functions.cloudEvent('childQuestionnaireTrigger', async (cloudEvent) => {
-  await processFirestoreEventWithRetryLogic(cloudEvent, 'child_questionnaire');
+// Triggered by Cloud Scheduler through Pub/Sub (deploy.sh); the message is ignored
+functions.cloudEvent('scheduledRefreshTrigger', async () => {
+  await withUpstreamDeadline(getUpstreamDeadline(SCHEDULED_REFRESH_TIMEOUT_MS), runScheduledRefresh);
 });
 
-functions.cloudEvent('testEventsTrigger', async (cloudEvent) => {
-  await processFirestoreEventWithRetryLogic(cloudEvent, 'testEvents');
-});
+async function closeRedisClient() {
+  if (redisClient) {
+    const client = redisClient;
+    redisClient = null;
+    await client.quit();
+  }
+}
+
+// Used by dlq-processor.js to replay failed events, and by backfill-cache.js
+module.exports = {
+  processFirestoreEventWithRetryLogic,
+  warmChildCache,
+  getRedisClient,
+  closeRedisClient
+};
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, closing connections...');
-  if (redisClient) {
-    await redisClient.quit();
-  }
+  await closeRedisClient();
   process.exit(0);
 });
\ No newline at end of file
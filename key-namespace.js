@@ -0,0 +1,51 @@
+// Namespace for the Redis keys this service writes, so staging, load tests
+// and several Firebase projects can share one Redis cluster.
+//
+// CACHE_KEY_NAMESPACE is a template that may use {env} (CACHE_ENV) and
+// {project} (FIREBASE_PROJECT_ID, else GOOGLE_CLOUD_PROJECT), for example
+// "{env}:{project}". Every key is prefixed with the filled template and ":":
+//   staging:my-project:v2:summary:{childId}
+// Left unset, keys carry no namespace. A collection can use its own template
+// (keyNamespace in collections.yaml), which is how test collections stay out
+// of the production keys.
+
+// Characters that would break SCAN patterns or cluster hash tags
+const INVALID_NAMESPACE_CHARS = /[{}*?[\]\s]/;
+
+const NAMESPACE_VALUES = {
+  env: () => process.env.CACHE_ENV,
+  project: () => process.env.FIREBASE_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT
+};
+
+// Fill a namespace template; '' when there is none
+function getKeyNamespace(template = process.env.CACHE_KEY_NAMESPACE) {
+  if (!template) {
+    return '';
+  }
+
+  const namespace = template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!NAMESPACE_VALUES[name]) {
+      throw new Error(`Key namespace "${template}" uses unknown placeholder ${match}`);
+    }
+    const value = NAMESPACE_VALUES[name]();
+    if (!value) {
+      throw new Error(`Key namespace "${template}" uses ${match}, which is not configured`);
+    }
+    return value;
+  });
+
+  if (INVALID_NAMESPACE_CHARS.test(namespace)) {
+    throw new Error(`Key namespace "${namespace}" must not contain braces, glob characters or spaces`);
+  }
+  return namespace;
+}
+
+// Prefix a key with a namespace (the configured one by default)
+function namespaceKey(key, namespace = getKeyNamespace()) {
+  return namespace ? `${namespace}:${key}` : key;
+}
+
+module.exports = {
+  getKeyNamespace,
+  namespaceKey
+};
@@ -0,0 +1,170 @@
+// Fallback 7-day summary computed from Firestore, for when the summary API
+// is down (LOCAL_SUMMARY_FALLBACK=true).
+//
+// The activity collections with a `daylog` block in collections.yaml are
+// queried for the child's records of the last 7 local days (by the block's
+// timeField) and aggregated per day and per bucket:
+//   count            - records
+//   amount           - sum of the numeric `amount` fields (feeds, pumping)
+//   durationMinutes  - sum of endTime - timeField, for records that have ended
+//
+// The result carries `source: 'local'`, so consumers can tell it apart from
+// the ML summary of the API:
+//   {
+//     childId, timeZone, days: 7, source: 'local', computedAt,
+//     from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', truncated,
+//     daily: [{ date, feed: { count, amount, durationMinutes }, sleep: {...}, ... }],
+//     totals: { feed: { count, amount, durationMinutes }, ... }
+//   }
+//
+// Each query filters on childId and a bounded range of timeField, which needs
+// a composite index (childId, timeField) per collection, and reads at most
+// LOCAL_SUMMARY_MAX_RECORDS documents (truncated is true when a collection
+// had more). A retry of the event within LOCAL_SUMMARY_REUSE_SECONDS reuses
+// the cached local summary instead of querying again.
+
+const { listCollections } = require('./collection-registry');
+const { getLocalDate, shiftLocalDate } = require('./timezone');
+
+const SUMMARY_DAYS = 7;
+const DEFAULT_AFTER_SECONDS = 3600;
+const DEFAULT_REUSE_SECONDS = 300;
+const DEFAULT_MAX_RECORDS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getLocalSummaryConfig() {
+  return {
+    enabled: process.env.LOCAL_SUMMARY_FALLBACK === 'true',
+    // A stale API summary younger than this is kept instead of the local one
+    afterSeconds: parseInt(process.env.LOCAL_SUMMARY_AFTER_SECONDS || DEFAULT_AFTER_SECONDS),
+    // A local summary younger than this is reused instead of computed again
+    reuseSeconds: parseInt(process.env.LOCAL_SUMMARY_REUSE_SECONDS || DEFAULT_REUSE_SECONDS),
+    // Documents read per collection
+    maxRecords: parseInt(process.env.LOCAL_SUMMARY_MAX_RECORDS || DEFAULT_MAX_RECORDS)
+  };
+}
+
+// Collections the local summary is computed from
+function getSummaryCollections() {
+  return listCollections().filter(config => config.daylog && !config.testData);
+}
+
+// Firestore Timestamp, Date, ISO string or epoch ms -> Date (null if unusable)
+function toDate(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function emptyTotals() {
+  return { count: 0, amount: 0, durationMinutes: 0 };
+}
+
+function addRecord(totals, record, start) {
+  totals.count++;
+  if (typeof record.amount === 'number' && Number.isFinite(record.amount)) {
+    totals.amount += record.amount;
+  }
+  const end = toDate(record.endTime);
+  if (end && end > start) {
+    totals.durationMinutes += Math.round((end - start) / 60000);
+  }
+}
+
+// Whether a cached summary should give way to a local one: there is none,
+// it is local itself, or the API summary has not refreshed for too long
+function shouldReplaceSummary(cachedEntry) {
+  if (!cachedEntry || !cachedEntry.data || cachedEntry.data.source === 'local') {
+    return true;
+  }
+  const { afterSeconds } = getLocalSummaryConfig();
+  const lastSuccessAt = Date.parse(cachedEntry.lastSuccessAt || cachedEntry.lastUpdated);
+  return !(Date.now() - lastSuccessAt < afterSeconds * 1000);
+}
+
+// The cached local summary, when it was computed recently for the same
+// timezone and local day; null otherwise
+function getReusableSummary(cachedEntry, timeZone) {
+  const summary = cachedEntry && cachedEntry.data;
+  if (!summary || summary.source !== 'local' || summary.timeZone !== timeZone) {
+    return null;
+  }
+  const { reuseSeconds } = getLocalSummaryConfig();
+  const age = Date.now() - Date.parse(summary.computedAt);
+  if (!(age >= 0 && age < reuseSeconds * 1000) || summary.to !== getLocalDate(timeZone, new Date())) {
+    return null;
+  }
+  return summary;
+}
+
+// Compute the summary of a child's last SUMMARY_DAYS local days, today included
+async function computeLocalSummary(db, childId, timeZone, { days = SUMMARY_DAYS } = {}) {
+  const now = new Date();
+  const to = getLocalDate(timeZone, now);
+  const from = shiftLocalDate(to, -(days - 1));
+  const collections = getSummaryCollections();
+
+  const daily = new Map();
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const day = { date: shiftLocalDate(to, -offset) };
+    for (const { daylog } of collections) {
+      day[daylog.bucket] = emptyTotals();
+    }
+    daily.set(day.date, day);
+  }
+
+  // The query range is wider than the local days (they can be up to 25 hours
+  // long) and ends after today; records are assigned to their local day below
+  const { maxRecords } = getLocalSummaryConfig();
+  const rangeStart = new Date(now.getTime() - (days + 1) * DAY_MS);
+  const rangeEnd = new Date(now.getTime() + DAY_MS);
+  const snapshots = await Promise.all(collections.map(config =>
+    db.collection(config.name)
+      .where('childId', '==', childId)
+      .where(config.daylog.timeField, '>=', rangeStart)
+      .where(config.daylog.timeField, '<', rangeEnd)
+      .orderBy(config.daylog.timeField)
+      .limit(maxRecords)
+      .get()
+  ));
+
+  const totals = {};
+  let truncated = false;
+  collections.forEach(({ name, daylog }, i) => {
+    totals[daylog.bucket] = emptyTotals();
+    if (snapshots[i].docs.length >= maxRecords) {
+      truncated = true;
+      console.warn(`Local summary for child ${childId} counts only the first ${maxRecords} ${name} records`);
+    }
+    for (const doc of snapshots[i].docs) {
+      const record = doc.data();
+      const start = toDate(record[daylog.timeField]);
+      const day = start && daily.get(getLocalDate(timeZone, start));
+      if (!day) continue;
+      addRecord(day[daylog.bucket], record, start);
+      addRecord(totals[daylog.bucket], record, start);
+    }
+  });
+
+  return {
+    childId,
+    timeZone,
+    days,
+    source: 'local',
+    computedAt: now.toISOString(),
+    from,
+    to,
+    truncated,
+    daily: Array.from(daily.values()),
+    totals
+  };
+}
+
+module.exports = {
+  getLocalSummaryConfig,
+  shouldReplaceSummary,
+  getReusableSummary,
+  computeLocalSummary
+};
@@ -0,0 +1,113 @@
+// Copy legacy (schema version 1) cache keys to the current schema version.
+//
+//   node migrate-cache-keys.js [--dry-run] [--delete-legacy]
+//
+// Every version 1 key the registry declares is found with SCAN, converted by
+// cache-keys.js and written under its current-version name with the TTL it
+// has left. The write is a compare-and-set, so a value the triggers already
+// wrote in the current version is never replaced by an older copy.
+//
+// Rollout of a new schema version:
+//   1. deploy the writers with CACHE_DUAL_WRITE_LEGACY unset or true
+//   2. run this command, then upgrade readers at their own pace (readers fall
+//      back to version 1 keys while they are still around)
+//   3. once no reader needs version 1, set CACHE_DUAL_WRITE_LEGACY=false and
+//      run with --delete-legacy (or let the old keys expire)
+
+const { listCollections } = require('./collection-registry');
+const { SCHEMA_VERSION, LEGACY_SCHEMA_VERSION, getCacheKey, getKeyMatcher, readEntry, writeEntry } = require('./cache-keys');
+const { scanKeys } = require('./redis-scan');
+const { loadEnvFile, createRedisClient } = require('./cli-support');
+
+function parseArgs(argv) {
+  const options = { dryRun: false, deleteLegacy: false };
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--delete-legacy') {
+      options.deleteLegacy = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}\nUsage: node migrate-cache-keys.js [--dry-run] [--delete-legacy]`);
+    }
+  }
+  return options;
+}
+
+// Migrate every legacy key. Resolves to counts of what happened.
+async function migrateLegacyKeys(client, { dryRun = false, deleteLegacy = false } = {}) {
+  const counts = { found: 0, migrated: 0, alreadyCurrent: 0, unreadable: 0, deleted: 0 };
+  // Collections of one kind share key templates; scan each pattern once
+  const scanned = new Set();
+
+  for (const config of listCollections()) {
+    for (const keyName of Object.keys(config.keys)) {
+      const pattern = getCacheKey(config, keyName, { parentId: '*', childId: '*' }, LEGACY_SCHEMA_VERSION).key;
+      if (scanned.has(pattern)) continue;
+      scanned.add(pattern);
+
+      // "profile:*" also matches "profile:parent:...", so check the full template
+      const matcher = getKeyMatcher(config, keyName, LEGACY_SCHEMA_VERSION);
+      for (const legacyKey of await scanKeys(client, pattern)) {
+        const match = matcher.exec(legacyKey);
+        if (!match) continue;
+        counts.found++;
+
+        const params = { ...match.groups };
+        const found = await readEntry(client, config, keyName, params, { versions: [LEGACY_SCHEMA_VERSION] });
+        if (!found) {
+          counts.unreadable++;
+          console.warn(`Skipping ${legacyKey}: value is missing or not JSON`);
+          continue;
+        }
+
+        const { key: currentKey } = getCacheKey(config, keyName, params, SCHEMA_VERSION);
+        if (dryRun) {
+          console.log(`Would copy ${legacyKey} -> ${currentKey}`);
+          continue;
+        }
+
+        // Keep the expiry the legacy key has left; keys without one get the registry TTL
+        const ttl = await client.ttl(legacyKey);
+        const written = await writeEntry(client, config, keyName, params, found.entry, {
+          ttl: ttl > 0 ? ttl : undefined,
+          versions: [SCHEMA_VERSION]
+        });
+        if (written.length > 0) {
+          counts.migrated++;
+          console.log(`Copied ${legacyKey} -> ${currentKey}`);
+        } else {
+          counts.alreadyCurrent++;
+          console.log(`Kept ${currentKey}: it already holds newer data than ${legacyKey}`);
+        }
+
+        if (deleteLegacy) {
+          await client.del(legacyKey);
+          counts.deleted++;
+        }
+      }
+    }
+  }
+
+  return counts;
+}
+
+module.exports = { migrateLegacyKeys };
+
+if (require.main === module) {
+  loadEnvFile();
+
+  (async () => {
+    let client = null;
+    try {
+      const options = parseArgs(process.argv.slice(2));
+      client = await createRedisClient();
+      const counts = await migrateLegacyKeys(client, options);
+      console.log(`${options.dryRun ? 'Dry run: ' : ''}schema v${LEGACY_SCHEMA_VERSION} -> v${SCHEMA_VERSION}:`, counts);
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 1;
+    } finally {
+      if (client) await client.quit();
+    }
+  })();
+}
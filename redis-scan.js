@@ -0,0 +1,23 @@
+// Find keys matching a pattern with SCAN (never KEYS, which blocks Redis).
+// In cluster mode every master node holds a share of the keyspace.
+async function scanKeys(client, pattern) {
+  const nodeClients = Array.isArray(client.masters)
+    ? await Promise.all(client.masters.map(master => client.nodeClient(master)))
+    : [client];
+
+  const keys = [];
+  for (const nodeClient of nodeClients) {
+    for await (const batch of nodeClient.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+      keys.push(...batch);
+    }
+  }
+
+  return keys;
+}
+
+// Escape a value for use in a SCAN pattern, so IDs match literally
+function escapeGlob(value) {
+  return String(value).replace(/[*?[\]\\]/g, '\\$&');
+}
+
+module.exports = { scanKeys, escapeGlob };
@@ -0,0 +1,224 @@
+// Coalesces bursts of activity refreshes for the same parent and child across
+// instances.
+//
+// Every event bumps a per-pair sequence number in Redis and waits out a short
+// debounce window. Only the event holding the latest sequence number when the
+// window closes goes on to refresh; earlier ones are acknowledged as coalesced.
+// The refresh itself runs under a per-pair single-flight lock. An event that
+// finds the lock taken leaves a "refresh pending" marker, and the lock holder
+// refreshes once more before releasing the lock so that event's write is not missed.
+// A marker nobody is left to pick up (the rounds ran out, or it was set as the
+// lock was released) fails the event with a retryable error instead.
+//
+// Pairs rather than children: the refresh writes the parent's
+// parent:{parentId}:child:{childId} key, so co-parents writing at the same
+// time each get their own refresh.
+//
+// Each round is stamped with the newest source version seen for the pair, so
+// the refresh written on behalf of a burst is never older than any event in it.
+//
+// The lock holder renews the lock every third of its TTL while the refresh
+// runs, so a refresh slowed down by upstream retries never outlives its lock;
+// the pending marker and version are renewed with it. A crashed holder stops
+// renewing and the lock expires after REFRESH_LOCK_TTL_MS.
+//
+// Background refreshes (the scheduled refresh) use refreshIfIdle: no debounce,
+// and a pair whose lock is held is skipped, since the event holding it is
+// refreshing the same keys already.
+//
+// Redis keys (all per parent-child pair, in the key namespace):
+//   refresh:seq:{parentId}:{childId}      - INCR counter of events seen in the window
+//   refresh:version:{parentId}:{childId}  - newest source version seen in the window
+//   refresh:lock:{parentId}:{childId}     - single-flight lock, owned by a random token
+//   refresh:pending:{parentId}:{childId}  - set while a refresh is needed after the current one
+
+const crypto = require('crypto');
+const { maxSourceVersion } = require('./cache-versioning');
+const { namespaceKey } = require('./key-namespace');
+const { ProcessingError } = require('./errors');
+
+const DEFAULT_DEBOUNCE_MS = 2000;
+const DEFAULT_LOCK_TTL_MS = 60000;
+const DEFAULT_MAX_ROUNDS = 3;
+
+// Delete the lock only if we still own it (it may have expired and been retaken)
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+// Extend the lock, pending marker and version if we still own the lock
+const RENEW_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  redis.call('pexpire', KEYS[2], ARGV[2])
+  redis.call('pexpire', KEYS[3], ARGV[2])
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+// Keep the larger of the stored and given version, refreshing the key's expiry
+const RECORD_VERSION_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current or current < ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+  return ARGV[1]
+end
+redis.call('PEXPIRE', KEYS[1], ARGV[2])
+return current
+`;
+
+function getCoalescerConfig() {
+  return {
+    debounceMs: parseInt(process.env.REFRESH_DEBOUNCE_MS || DEFAULT_DEBOUNCE_MS),
+    lockTtlMs: parseInt(process.env.REFRESH_LOCK_TTL_MS || DEFAULT_LOCK_TTL_MS),
+    maxRounds: parseInt(process.env.REFRESH_MAX_ROUNDS || DEFAULT_MAX_ROUNDS)
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Redis keys of a parent-child pair
+function getCoalescerKeys(parentId, childId) {
+  const pair = `${parentId}:${childId}`;
+  return {
+    seqKey: namespaceKey(`refresh:seq:${pair}`),
+    versionKey: namespaceKey(`refresh:version:${pair}`),
+    lockKey: namespaceKey(`refresh:lock:${pair}`),
+    pendingKey: namespaceKey(`refresh:pending:${pair}`)
+  };
+}
+
+// Retryable: the redelivered event takes the lock and runs the refresh
+function pendingRefreshError(childId, detail) {
+  return new ProcessingError(`Refresh for child ${childId} still pending ${detail}`, {
+    reasonCode: 'refresh_pending',
+    retryable: true
+  });
+}
+
+// Run `refresh(sourceVersion)` for a parent and child unless a later event in
+// the same burst will do it. Resolves to { refreshed: true, rounds } or
+// { refreshed: false, reason }.
+async function coalesceRefresh(client, { parentId, childId }, sourceVersion, refresh) {
+  const { debounceMs, lockTtlMs } = getCoalescerConfig();
+  const { seqKey, versionKey, lockKey, pendingKey } = getCoalescerKeys(parentId, childId);
+
+  await client.eval(RECORD_VERSION_SCRIPT, {
+    keys: [versionKey],
+    arguments: [sourceVersion, String(debounceMs + lockTtlMs)]
+  });
+
+  // Debounce: let the burst settle, then only the newest event continues
+  const mySeq = await client.incr(seqKey);
+  await client.pExpire(seqKey, debounceMs + lockTtlMs);
+
+  if (debounceMs > 0) {
+    await sleep(debounceMs);
+  }
+
+  const latestSeq = parseInt(await client.get(seqKey) || '0');
+  if (latestSeq > mySeq) {
+    console.log(`Refresh for child ${childId} coalesced into a later event (seq ${mySeq} < ${latestSeq})`);
+    return { refreshed: false, reason: 'superseded' };
+  }
+
+  // Single flight: one refresh per pair at a time
+  const lockToken = await acquireLock(client, lockKey, lockTtlMs);
+  if (!lockToken) {
+    await client.set(pendingKey, String(mySeq), {
+      expiration: { type: 'PX', value: lockTtlMs }
+    });
+    // The holder may have made its last pending check and released the lock
+    // before the marker was set
+    if (await client.get(lockKey) === null) {
+      throw pendingRefreshError(childId, 'after the refresh in flight finished');
+    }
+    console.log(`Refresh for child ${childId} already in flight - marked as pending`);
+    return { refreshed: false, reason: 'pending' };
+  }
+
+  return refreshUnderLock(client, { parentId, childId }, lockToken, sourceVersion, refresh);
+}
+
+// Run `refresh(sourceVersion)` for a parent and child right away, unless a
+// refresh of the pair is in flight. Resolves like coalesceRefresh, with
+// reason 'in_flight' when skipped.
+async function refreshIfIdle(client, { parentId, childId }, sourceVersion, refresh) {
+  const { lockTtlMs } = getCoalescerConfig();
+  const lockToken = await acquireLock(client, getCoalescerKeys(parentId, childId).lockKey, lockTtlMs);
+  if (!lockToken) {
+    console.log(`Refresh for child ${childId} already in flight - skipped`);
+    return { refreshed: false, reason: 'in_flight' };
+  }
+
+  return refreshUnderLock(client, { parentId, childId }, lockToken, sourceVersion, refresh);
+}
+
+// Take a pair's lock; resolves to the owner token, or null if it is held
+async function acquireLock(client, lockKey, lockTtlMs) {
+  const lockToken = crypto.randomUUID();
+  const acquired = await client.set(lockKey, lockToken, {
+    condition: 'NX',
+    expiration: { type: 'PX', value: lockTtlMs }
+  });
+  return acquired ? lockToken : null;
+}
+
+// Refresh with the lock held, once more for every pending marker set
+// meanwhile (up to maxRounds), then release the lock
+async function refreshUnderLock(client, { parentId, childId }, lockToken, sourceVersion, refresh) {
+  const { lockTtlMs, maxRounds } = getCoalescerConfig();
+  const { versionKey, lockKey, pendingKey } = getCoalescerKeys(parentId, childId);
+
+  const renewal = setInterval(() => {
+    client.eval(RENEW_LOCK_SCRIPT, {
+      keys: [lockKey, pendingKey, versionKey],
+      arguments: [lockToken, String(lockTtlMs)]
+    }).catch(error => {
+      console.warn(`Could not renew refresh lock for child ${childId}:`, error.message);
+    });
+  }, lockTtlMs / 3);
+
+  let rounds = 0;
+  try {
+    do {
+      await client.del(pendingKey);
+      const roundVersion = maxSourceVersion(await client.get(versionKey), sourceVersion);
+      await refresh(roundVersion);
+      rounds++;
+    } while (rounds < maxRounds && await client.get(pendingKey));
+  } finally {
+    clearInterval(renewal);
+    try {
+      await client.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [lockToken] });
+    } catch (error) {
+      // The lock expires on its own; never mask the refresh outcome
+      console.warn(`Could not release refresh lock for child ${childId}:`, error.message);
+    }
+  }
+
+  if (await client.get(pendingKey)) {
+    throw pendingRefreshError(childId, `after ${rounds} refresh rounds`);
+  }
+
+  if (rounds > 1) {
+    console.log(`Refreshed child ${childId} ${rounds} times to pick up writes made during the refresh`);
+  }
+
+  return { refreshed: true, rounds };
+}
+
+module.exports = {
+  RELEASE_LOCK_SCRIPT,
+  RENEW_LOCK_SCRIPT,
+  RECORD_VERSION_SCRIPT,
+  getCoalescerKeys,
+  coalesceRefresh,
+  refreshIfIdle,
+  getCoalescerConfig
+};
@@ -29,10 +29,9 @@ async function addTestDocument() {
     console.log('Check the function logs with:');
     console.log('gcloud functions logs read testEventsTrigger --limit 50');
     
-    console.log('\nTo verify Redis data was written, check for these keys:');
-    console.log('- TEST_summary:test-child-456');
-    console.log('- TEST_daylog:test-child-456');
-    console.log('- TEST_parent:test-parent-123:child:test-child-456');
+    console.log('\nTo verify Redis data was written, list the child\'s keys. testEvents keys live');
+    console.log('in their own namespace (keyNamespace in collections.yaml, e.g. test:coddle-d9a2b:v2:summary:test-child-456):');
+    console.log('node check-redis.js --child test-child-456');
     
   } catch (error) {
     console.error('Error adding document:', error);
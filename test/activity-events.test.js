@@ -0,0 +1,541 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, SERVER_TIMESTAMP } = require('./helpers/harness');
+const { loadEvent, encodeDocumentEventData } = require('./helpers/cloud-events');
+const { invalidateCachedToken } = require('../token-cache');
+
+const NOW = '2024-06-01T12:00:00.000Z';
+const NOW_MS = Date.parse(NOW);
+const TIME_ZONE = 'America/Los_Angeles';
+
+const summary = { childId: 'child-1', timeZone: TIME_ZONE, days: 7 };
+const dayLogs = { childId: 'child-1', timeZone: TIME_ZONE, feed: [], sleep: [], diaper: [], pumping: [] };
+
+// Exact contents of the three activity keys after a successful refresh
+function expectedActivityEntries(sourceVersion) {
+  const common = { schemaVersion: 2, timeZone: TIME_ZONE, sourceVersion, lastUpdated: NOW, eventSource: 'feedEvents' };
+  return {
+    'v2:summary:child-1': {
+      ttl: 86400,
+      value: { ...common, data: summary, stale: false, lastSuccessAt: NOW, expiresAt: NOW_MS + 86400 * 1000 }
+    },
+    'v2:daylog:child-1': {
+      ttl: 1800,
+      value: { ...common, data: dayLogs, stale: false, lastSuccessAt: NOW, expiresAt: NOW_MS + 1800 * 1000 }
+    },
+    'v2:parent:parent-1:child:child-1': {
+      ttl: 3600,
+      value: {
+        ...common,
+        data: { last7daySummary: summary, currentDayLogs: dayLogs },
+        stale: false,
+        lastSuccessAt: NOW,
+        expiresAt: NOW_MS + 3600 * 1000
+      }
+    }
+  };
+}
+
+// The same keys in the legacy (schema version 1) layout
+function expectedLegacyActivityEntries(sourceVersion) {
+  return {
+    'summary:child-1': {
+      ttl: 86400,
+      value: {
+        data: summary,
+        timeZone: TIME_ZONE,
+        sourceVersion,
+        stale: false,
+        lastSuccessAt: NOW,
+        expiresAt: NOW_MS + 86400 * 1000
+      }
+    },
+    'daylog:child-1': {
+      ttl: 1800,
+      value: {
+        data: dayLogs,
+        timeZone: TIME_ZONE,
+        sourceVersion,
+        stale: false,
+        lastSuccessAt: NOW,
+        expiresAt: NOW_MS + 1800 * 1000
+      }
+    },
+    'parent:parent-1:child:child-1': {
+      ttl: 3600,
+      value: {
+        timeZone: TIME_ZONE,
+        sourceVersion,
+        lastUpdated: NOW,
+        eventSource: 'feedEvents',
+        last7daySummary: summary,
+        currentDayLogs: dayLogs,
+        stale: false,
+        lastSuccessAt: NOW
+      }
+    }
+  };
+}
+
+async function readEntries(harness) {
+  const entries = {};
+  for (const key of harness.redis.dataKeys()) {
+    entries[key] = await harness.entry(key);
+  }
+  return entries;
+}
+
+describe('activity collection events', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  beforeEach(() => {
+    harness.reset();
+    // The child has no profile, so its day is computed in the default timezone
+    harness.upstream.respond('childProfile', () => ({ status: 404, body: { error: 'not found' } }));
+    mock.timers.enable({ apis: ['Date'], now: NOW_MS });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  for (const encoding of ['json', 'protobuf']) {
+    test(`created event (${encoding}) writes summary, day log and parent-child keys`, async () => {
+      // Tokens outlive a test in the in-memory cache
+      await invalidateCachedToken('parent-1', harness.redis);
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-created', { encoding }));
+
+      assert.deepEqual(await readEntries(harness), expectedActivityEntries('001717243199.123456000'));
+
+      assert.deepEqual(harness.upstream.requestsFor('token').map(request => request.path), ['/chatAssistant/token/parent-1']);
+
+      const [summaryRequest] = harness.upstream.requestsFor('summary');
+      assert.deepEqual(summaryRequest.body, { childId: 'child-1', parentId: 'parent-1', timeZone: TIME_ZONE, flType: 'ML' });
+      assert.equal(summaryRequest.headers.authorization, 'Bearer token-parent-1');
+
+      const [currentLogsRequest] = harness.upstream.requestsFor('currentLogs');
+      assert.deepEqual(currentLogsRequest.body, { childId: 'child-1', timeZone: TIME_ZONE });
+      assert.equal(currentLogsRequest.headers.authorization, 'Bearer token-parent-1');
+    });
+  }
+
+  test('updated event refreshes the keys with the new document version', async () => {
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-updated', { encoding: 'protobuf' }));
+
+    assert.deepEqual(await readEntries(harness), expectedActivityEntries('001717243199.500000000'));
+  });
+
+  test('deleted event recomputes from the API, versioned by the event time', async () => {
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-deleted'));
+
+    assert.deepEqual(await readEntries(harness), expectedActivityEntries('001717243199.900000000'));
+  });
+
+  test('an older event does not overwrite newer cached data', async () => {
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-updated'));
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+
+    assert.deepEqual(await readEntries(harness), expectedActivityEntries('001717243199.500000000'));
+  });
+
+  test('a redelivered event is processed only once', async () => {
+    const event = loadEvent('feed-created');
+
+    await harness.invoke('feedEventsTrigger', event);
+    await harness.invoke('feedEventsTrigger', event);
+
+    assert.equal(harness.upstream.requestsFor('summary').length, 1);
+    assert.equal(harness.upstream.requestsFor('currentLogs').length, 1);
+  });
+
+  test('a child whose cached profile expired gets its timezone from the profile API', async () => {
+    harness.upstream.respond('childProfile', ({ params }) => ({
+      body: { childId: params[0], name: 'Test Child', dateOfBirth: '2024-01-15', gender: 'female', timeZone: 'Europe/London' }
+    }));
+
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+
+    assert.equal(harness.upstream.requestsFor('summary')[0].body.timeZone, 'Europe/London');
+    // Cached again with the lowest version, so the next profile event replaces it
+    const { value } = await harness.entry('v2:profile:child-1');
+    assert.equal(value.timeZone, 'Europe/London');
+    assert.equal(value.sourceVersion, '');
+
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-updated'));
+    assert.equal(harness.upstream.requestsFor('childProfile').length, 1);
+  });
+
+  test('a child without a profile timezone is not looked up again on every event', async () => {
+    for (const name of ['feed-created', 'feed-updated', 'feed-deleted']) {
+      await harness.invoke('feedEventsTrigger', loadEvent(name));
+    }
+    assert.equal(harness.upstream.requestsFor('childProfile').length, 1);
+
+    // A profile without a timezone counts the same
+    harness.upstream.reset();
+    harness.upstream.respond('childProfile', ({ params }) => ({
+      body: { childId: params[0], name: 'Test Child', dateOfBirth: '2024-01-15', gender: 'female' }
+    }));
+    mock.timers.tick(3600 * 1000);
+    for (const name of ['feed-created', 'feed-updated']) {
+      await harness.invoke('feedEventsTrigger', loadEvent(name));
+    }
+    assert.equal(harness.upstream.requestsFor('childProfile').length, 1);
+    assert.equal(harness.upstream.requestsFor('summary')[0].body.timeZone, TIME_ZONE);
+  });
+
+  describe('updates that change nothing the cache depends on', () => {
+    // feed-updated, with only `changes` differing from the previous document
+    function updateEvent(changes, updateMask) {
+      const event = loadEvent('feed-updated');
+      event.data.value.fields = { ...event.data.oldValue.fields, ...changes };
+      if (updateMask) {
+        event.data.updateMask = { fieldPaths: updateMask };
+      } else {
+        delete event.data.updateMask;
+      }
+      return event;
+    }
+
+    test('an update of ignored fields only is acknowledged without a refresh', async () => {
+      const event = updateEvent({ syncedAt: { timestampValue: '2024-06-01T11:59:59Z' } }, ['syncedAt']);
+      event.data = encodeDocumentEventData(event.data);
+
+      await harness.invoke('feedEventsTrigger', event);
+
+      assert.equal(harness.upstream.requests.length, 0);
+      assert.deepEqual(harness.redis.dataKeys(), []);
+    });
+
+    test('without an updateMask the documents are compared', async () => {
+      await harness.invoke('feedEventsTrigger', updateEvent({
+        syncedAt: { timestampValue: '2024-06-01T11:59:59Z' },
+        clientVersion: { stringValue: '4.2.0' }
+      }));
+      assert.equal(harness.upstream.requests.length, 0);
+
+      await harness.invoke('feedEventsTrigger', updateEvent({ amount: { integerValue: '120' } }));
+      assert.deepEqual(await readEntries(harness), expectedActivityEntries('001717243199.500000000'));
+    });
+
+    test('a no-op update is acknowledged without a refresh', async () => {
+      await harness.invoke('feedEventsTrigger', updateEvent({}));
+
+      assert.equal(harness.upstream.requests.length, 0);
+      assert.deepEqual(harness.redis.dataKeys(), []);
+    });
+  });
+
+  test('document without parentId is cached in limited mode without API calls', async () => {
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-created-no-parent', { encoding: 'protobuf' }));
+
+    assert.deepEqual(await readEntries(harness), {
+      'v2:limited:child:child-2:feedEvents': {
+        ttl: 3600,
+        value: {
+          schemaVersion: 2,
+          sourceVersion: '001717243199.123456000',
+          lastUpdated: NOW,
+          eventSource: 'feedEvents',
+          data: { childId: 'child-2', amount: 60 },
+          processingMode: 'limited_no_auth',
+          expiresAt: NOW_MS + 3600 * 1000
+        }
+      }
+    });
+    assert.equal(harness.upstream.requests.length, 0);
+  });
+
+  test('summary API failure keeps the cached summary, marks it stale and retries', async () => {
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+    harness.upstream.respond('summary', () => ({ status: 503, body: { error: 'unavailable' } }));
+
+    await assert.rejects(
+      harness.invoke('feedEventsTrigger', loadEvent('feed-updated')),
+      { name: 'UpstreamTransient', retryable: true }
+    );
+
+    const expected = expectedActivityEntries('001717243199.123456000');
+    const { value: staleSummary, ttl } = await harness.entry('v2:summary:child-1');
+    assert.equal(ttl, 86400);
+    assert.deepEqual(staleSummary, {
+      ...expected['v2:summary:child-1'].value,
+      stale: true,
+      lastError: {
+        message: 'Upstream summary failed: Request failed with status code 503',
+        status: 503,
+        code: 'ERR_BAD_RESPONSE',
+        reasonCode: 'upstream_transient',
+        at: NOW
+      }
+    });
+
+    // The day log refreshed normally
+    assert.equal((await harness.entry('v2:daylog:child-1')).value.sourceVersion, '001717243199.500000000');
+  });
+
+  test('summary API outage falls back to a summary computed from Firestore', async () => {
+    process.env.LOCAL_SUMMARY_FALLBACK = 'true';
+    harness.upstream.respond('summary', () => ({ status: 503, body: { error: 'unavailable' } }));
+    harness.seed('feedEvents', [
+      { id: 'feed-1', data: { childId: 'child-1', amount: 120, startTime: new Date('2024-06-01T11:30:00Z'), endTime: new Date('2024-06-01T11:45:00Z') } },
+      // 8pm on May 31 in Los Angeles
+      { id: 'feed-2', data: { childId: 'child-1', amount: 90, startTime: new Date('2024-06-01T03:00:00Z') } },
+      { id: 'feed-3', data: { childId: 'child-1', amount: 60, startTime: new Date('2024-05-20T12:00:00Z') } },
+      { id: 'feed-4', data: { childId: 'child-2', amount: 60, startTime: new Date('2024-06-01T11:00:00Z') } }
+    ]);
+    harness.seed('sleepEvents', [
+      { id: 'sleep-1', data: { childId: 'child-1', startTime: new Date('2024-05-31T04:00:00Z'), endTime: new Date('2024-05-31T12:00:00Z') } }
+    ]);
+
+    try {
+      await assert.rejects(
+        harness.invoke('feedEventsTrigger', loadEvent('feed-created')),
+        { name: 'UpstreamTransient', retryable: true }
+      );
+    } finally {
+      delete process.env.LOCAL_SUMMARY_FALLBACK;
+    }
+
+    const totals = (count = 0, amount = 0, durationMinutes = 0) => ({ count, amount, durationMinutes });
+    const day = (date, buckets = {}) => ({ date, feed: totals(), diaper: totals(), sleep: totals(), pumping: totals(), ...buckets });
+    const localSummary = {
+      childId: 'child-1',
+      timeZone: TIME_ZONE,
+      days: 7,
+      source: 'local',
+      computedAt: NOW,
+      from: '2024-05-26',
+      to: '2024-06-01',
+      truncated: false,
+      daily: [
+        day('2024-05-26'),
+        day('2024-05-27'),
+        day('2024-05-28'),
+        day('2024-05-29'),
+        day('2024-05-30', { sleep: totals(1, 0, 480) }),
+        day('2024-05-31', { feed: totals(1, 90) }),
+        day('2024-06-01', { feed: totals(1, 120, 15) })
+      ],
+      totals: { feed: totals(2, 210, 15), diaper: totals(), sleep: totals(1, 0, 480), pumping: totals() }
+    };
+
+    const { value } = await harness.entry('v2:summary:child-1');
+    assert.deepEqual(value.data, localSummary);
+    assert.equal(value.stale, false);
+    assert.equal(value.lastError.status, 503);
+    const { value: parentChild } = await harness.entry('v2:parent:parent-1:child:child-1');
+    assert.deepEqual(parentChild.data, { last7daySummary: localSummary, currentDayLogs: dayLogs });
+  });
+
+  test('retries during an outage reuse a recent local summary', async () => {
+    process.env.LOCAL_SUMMARY_FALLBACK = 'true';
+    harness.upstream.respond('summary', () => ({ status: 503, body: { error: 'unavailable' } }));
+    const feed = id => ({ id, data: { childId: 'child-1', amount: 30, startTime: new Date(NOW_MS - 60000) } });
+    const feedCount = async () => (await harness.entry('v2:summary:child-1')).value.data.totals.feed.count;
+
+    try {
+      harness.seed('feedEvents', [feed('feed-1')]);
+      await assert.rejects(harness.invoke('feedEventsTrigger', loadEvent('feed-created')));
+      assert.equal(await feedCount(), 1);
+
+      harness.seed('feedEvents', [feed('feed-2')]);
+      mock.timers.tick(60 * 1000);
+      await assert.rejects(harness.invoke('feedEventsTrigger', loadEvent('feed-created')));
+      assert.equal(await feedCount(), 1);
+      assert.equal((await harness.entry('v2:summary:child-1')).value.data.computedAt, NOW);
+
+      mock.timers.tick(300 * 1000);
+      await assert.rejects(harness.invoke('feedEventsTrigger', loadEvent('feed-created')));
+      assert.equal(await feedCount(), 2);
+    } finally {
+      delete process.env.LOCAL_SUMMARY_FALLBACK;
+    }
+  });
+
+  test('a local summary reads a bounded number of records', async () => {
+    process.env.LOCAL_SUMMARY_FALLBACK = 'true';
+    process.env.LOCAL_SUMMARY_MAX_RECORDS = '2';
+    harness.upstream.respond('summary', () => ({ status: 503, body: { error: 'unavailable' } }));
+    harness.seed('feedEvents', [1, 2, 3].map(i => ({
+      id: `feed-${i}`,
+      data: { childId: 'child-1', amount: 30, startTime: new Date(NOW_MS - i * 60000) }
+    })).concat([
+      // Records dated after today are never read
+      { id: 'feed-future', data: { childId: 'child-1', amount: 30, startTime: new Date(NOW_MS + 2 * 86400000) } }
+    ]));
+
+    try {
+      await assert.rejects(harness.invoke('feedEventsTrigger', loadEvent('feed-created')));
+    } finally {
+      delete process.env.LOCAL_SUMMARY_FALLBACK;
+      delete process.env.LOCAL_SUMMARY_MAX_RECORDS;
+    }
+
+    const { value } = await harness.entry('v2:summary:child-1');
+    assert.equal(value.data.truncated, true);
+    assert.equal(value.data.totals.feed.count, 2);
+  });
+
+  test('a recently refreshed API summary is kept over a local one', async () => {
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+    process.env.LOCAL_SUMMARY_FALLBACK = 'true';
+    harness.upstream.respond('summary', () => ({ status: 503, body: { error: 'unavailable' } }));
+
+    try {
+      await assert.rejects(harness.invoke('feedEventsTrigger', loadEvent('feed-updated')));
+    } finally {
+      delete process.env.LOCAL_SUMMARY_FALLBACK;
+    }
+
+    const { value } = await harness.entry('v2:summary:child-1');
+    assert.deepEqual(value.data, summary);
+    assert.equal(value.stale, true);
+  });
+
+  test('dual-write also writes the legacy schema for readers not yet upgraded', async () => {
+    process.env.CACHE_DUAL_WRITE_LEGACY = 'true';
+    try {
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+    } finally {
+      process.env.CACHE_DUAL_WRITE_LEGACY = 'false';
+    }
+
+    assert.deepEqual(await readEntries(harness), {
+      ...expectedActivityEntries('001717243199.123456000'),
+      ...expectedLegacyActivityEntries('001717243199.123456000')
+    });
+  });
+
+  test('test collection writes only to its own key namespace', async () => {
+    const event = loadEvent('feed-created');
+    event.source = event.source.replace('feedEvents', 'testEvents');
+    event.subject = event.subject.replace('feedEvents', 'testEvents');
+
+    await harness.invoke('testEventsTrigger', event);
+
+    assert.deepEqual(harness.redis.dataKeys(), [
+      'test:demo-test:v2:daylog:child-1',
+      'test:demo-test:v2:parent:parent-1:child:child-1',
+      'test:demo-test:v2:summary:child-1'
+    ]);
+  });
+
+  test('document without childId is acknowledged and logged with its payload', async () => {
+    const event = loadEvent('feed-created-no-child');
+    // Resolving (instead of rejecting) acknowledges the event
+    await harness.invoke('feedEventsTrigger', event);
+
+    assert.deepEqual(harness.redis.dataKeys(), []);
+    assert.equal(harness.failures.length, 1);
+
+    const { collection, doc } = harness.failures[0];
+    assert.equal(collection, 'processing_failures');
+    assert.equal(doc.eventId, event.id);
+    assert.equal(doc.collection, 'feedEvents');
+    assert.equal(doc.errorType, 'ValidationError');
+    assert.equal(doc.reasonCode, 'missing_required_field');
+    assert.equal(doc.retryable, false);
+    assert.equal(doc.status, 'failed');
+    assert.equal(doc.timestamp, SERVER_TIMESTAMP);
+    assert.deepEqual(JSON.parse(doc.event.data), event.data);
+    assert.equal(doc.event.dataEncoding, 'json');
+    assert.equal(doc.event.attributes.subject, 'documents/feedEvents/feed-3');
+  });
+
+  describe('incremental day log', () => {
+    beforeEach(() => {
+      process.env.DAYLOG_INCREMENTAL = 'true';
+    });
+
+    afterEach(() => {
+      delete process.env.DAYLOG_INCREMENTAL;
+    });
+
+    const feedRecord = { id: 'feed-1', parentId: 'parent-1', childId: 'child-1', amount: 120, startTime: '2024-06-01T11:30:00.000Z' };
+
+    test('the first write reconciles with the current-logs API', async () => {
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+
+      const { value } = await harness.entry('v2:daylog:child-1');
+      assert.deepEqual(value.data, dayLogs);
+      assert.equal(value.day, '2024-06-01');
+      assert.equal(value.reconciledAt, NOW);
+      assert.equal(value.reconciledVersion, '001717243199.123456000');
+      assert.deepEqual(value.recordVersions, {});
+      assert.equal(typeof value.revision, 'string');
+      assert.equal(harness.upstream.requestsFor('currentLogs').length, 1);
+    });
+
+    test('later writes are applied to the cached day log without refetching it', async () => {
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-updated'));
+
+      const { value, ttl } = await harness.entry('v2:daylog:child-1');
+      assert.equal(ttl, 1800);
+      assert.deepEqual(value.data.feed, [feedRecord]);
+      assert.deepEqual(value.recordVersions, { 'feed-1': '001717243199.500000000' });
+      assert.equal(value.sourceVersion, '001717243199.500000000');
+      assert.deepEqual((await harness.entry('v2:parent:parent-1:child:child-1')).value.data.currentDayLogs, value.data);
+      assert.equal(harness.upstream.requestsFor('currentLogs').length, 1);
+      assert.equal(harness.upstream.requestsFor('summary').length, 2);
+
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-deleted'));
+
+      assert.deepEqual((await harness.entry('v2:daylog:child-1')).value.data.feed, []);
+      assert.equal(harness.upstream.requestsFor('currentLogs').length, 1);
+    });
+
+    test('an older change of a document is not applied over a newer one', async () => {
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-deleted'));
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-updated'));
+
+      assert.deepEqual((await harness.entry('v2:daylog:child-1')).value.data.feed, []);
+    });
+
+    test('a document from another day is kept out of the day log', async () => {
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+      const event = loadEvent('feed-updated');
+      // 02:00 UTC is still May 31 in Los Angeles
+      event.data.value.fields.startTime = { timestampValue: '2024-06-01T02:00:00Z' };
+
+      await harness.invoke('feedEventsTrigger', event);
+
+      assert.deepEqual((await harness.entry('v2:daylog:child-1')).value.data.feed, []);
+    });
+
+    test('reconciles again after DAYLOG_RECONCILE_SECONDS', async () => {
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+      mock.timers.tick(900 * 1000);
+
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-updated'));
+
+      assert.equal(harness.upstream.requestsFor('currentLogs').length, 2);
+      // The fetched day log replaces the incremental one
+      const { value } = await harness.entry('v2:daylog:child-1');
+      assert.deepEqual(value.data, dayLogs);
+      assert.equal(value.reconciledAt, new Date(NOW_MS + 900 * 1000).toISOString());
+    });
+
+    test('reconciles again once the local day has changed', async () => {
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+      // A day log reconciled before midnight in Los Angeles
+      const { value } = await harness.entry('v2:daylog:child-1');
+      await harness.redis.set('v2:daylog:child-1', JSON.stringify({ ...value, day: '2024-05-31' }), { expiration: 'KEEPTTL' });
+
+      await harness.invoke('feedEventsTrigger', loadEvent('feed-updated'));
+
+      assert.equal(harness.upstream.requestsFor('currentLogs').length, 2);
+      assert.equal((await harness.entry('v2:daylog:child-1')).value.day, '2024-06-01');
+    });
+  });
+});
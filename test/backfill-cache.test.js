@@ -0,0 +1,149 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers/harness');
+const { runBackfill } = require('../backfill-cache');
+
+const NOW = '2024-06-01T12:00:00.000Z';
+const NOW_MS = Date.parse(NOW);
+
+const profiles = [
+  { id: 'profile-a', data: { parentId: 'parent-1', childId: 'child-a' } },
+  { id: 'profile-b', data: { parentId: 'parent-1', childId: 'child-b' } },
+  { id: 'profile-c', data: { parentId: 'parent-2', childId: 'child-c' } }
+];
+
+describe('backfill-cache', () => {
+  let harness;
+  let db;
+  let warmChildCache;
+
+  before(async () => {
+    harness = await startHarness();
+    db = require('firebase-admin').firestore();
+    ({ warmChildCache } = require('../index'));
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  beforeEach(() => {
+    harness.reset();
+    mock.timers.enable({ apis: ['Date'], now: NOW_MS });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  function backfill(options) {
+    return runBackfill(db, harness.redis, warmChildCache, { source: 'profiles', rate: 0, ...options });
+  }
+
+  test('warms the profile and activity keys of every child, resuming from the checkpoint', async () => {
+    harness.seed('child_profile', profiles);
+
+    const first = await backfill({ pageSize: 2, limit: 2 });
+    assert.deepEqual(first, { found: 2, warmed: 2, skipped: 0, failed: 0 });
+    assert.deepEqual(harness.redis.dataKeys().filter(key => key.includes('child-c')), []);
+
+    const second = await backfill({ pageSize: 2 });
+    assert.deepEqual(second, { found: 3, warmed: 3, skipped: 0, failed: 0 });
+    for (const childId of ['child-a', 'child-b', 'child-c']) {
+      assert.equal((await harness.entry(`v2:profile:${childId}`)).value.timeZone, 'Europe/London');
+      assert.equal((await harness.entry(`v2:summary:${childId}`)).value.timeZone, 'Europe/London');
+      assert.notEqual(await harness.entry(`v2:daylog:${childId}`), null);
+    }
+    assert.equal(harness.upstream.requestsFor('childProfile').length, 3);
+
+    // A completed run does nothing until it is restarted
+    await backfill({});
+    assert.equal(harness.upstream.requestsFor('childProfile').length, 3);
+    await backfill({ restart: true, parent: 'parent-2', run: 'parent-2' });
+    assert.equal(harness.upstream.requestsFor('childProfile').length, 4);
+  });
+
+  test('the activity source warms each active child once', async () => {
+    harness.seed('feedEvents', [
+      { id: 'feed-1', data: { parentId: 'parent-1', childId: 'child-a', startTime: new Date('2024-06-01T10:00:00Z') } },
+      { id: 'feed-2', data: { parentId: 'parent-1', childId: 'child-a', startTime: new Date('2024-05-31T10:00:00Z') } },
+      { id: 'feed-3', data: { parentId: 'parent-2', childId: 'child-c', startTime: new Date('2024-04-01T10:00:00Z') } }
+    ]);
+    harness.seed('sleepEvents', [
+      { id: 'sleep-1', data: { parentId: 'parent-1', childId: 'child-b', startTime: new Date('2024-05-30T10:00:00Z') } },
+      { id: 'sleep-2', data: { parentId: 'parent-1', childId: 'child-a', startTime: new Date('2024-05-30T11:00:00Z') } }
+    ]);
+
+    const counts = await backfill({ source: 'activity', activeDays: 7, pageSize: 1 });
+
+    assert.deepEqual(counts, { found: 2, warmed: 2, skipped: 0, failed: 0 });
+    assert.deepEqual(harness.upstream.requestsFor('childProfile').map(request => request.path),
+      ['/child-profile/child-a', '/child-profile/child-b']);
+  });
+
+  test('the activity source checkpoints once per page and remembers its children on resume', async () => {
+    harness.seed('feedEvents', ['a', 'a', 'a', 'b', 'a', 'c'].map((child, i) => ({
+      id: `feed-${i}`,
+      data: { parentId: 'parent-1', childId: `child-${child}`, startTime: new Date('2024-06-01T10:00:00Z') }
+    })));
+    const saves = mock.method(harness.redis, 'set');
+    const checkpointSaves = () => saves.mock.calls.filter(call => call.arguments[0] === 'backfill:activity').length;
+
+    const first = await backfill({ source: 'activity', pageSize: 3, limit: 2 });
+    assert.deepEqual(first, { found: 2, warmed: 2, skipped: 0, failed: 0 });
+    // Pages of 3 documents: one save after the page, one when it stopped
+    assert.equal(checkpointSaves(), 2);
+
+    const second = await backfill({ source: 'activity', pageSize: 3 });
+    assert.deepEqual(second, { found: 3, warmed: 3, skipped: 0, failed: 0 });
+    assert.deepEqual(harness.upstream.requestsFor('childProfile').map(request => request.path),
+      ['/child-profile/child-a', '/child-profile/child-b', '/child-profile/child-c']);
+    // The children are kept in a set, not in the checkpoint
+    assert.equal('seen' in JSON.parse(await harness.redis.get('backfill:activity')), false);
+    assert.deepEqual(await harness.redis.sMembers('backfill:activity:seen'),
+      ['parent-1:child-a', 'parent-1:child-b', 'parent-1:child-c']);
+  });
+
+  test('profiles without recent activity are skipped', async () => {
+    harness.seed('child_profile', profiles);
+    harness.seed('diaperEvents', [
+      { id: 'diaper-1', data: { parentId: 'parent-1', childId: 'child-b', startTime: new Date('2024-05-31T10:00:00Z') } }
+    ]);
+
+    const counts = await backfill({ activeDays: 3 });
+
+    assert.deepEqual(counts, { found: 3, warmed: 1, skipped: 2, failed: 0 });
+    assert.notEqual(await harness.entry('v2:summary:child-b'), null);
+  });
+
+  test('a failing child is counted and the run goes on', async () => {
+    harness.seed('child_profile', profiles);
+    harness.upstream.respond('childProfile', ({ params }) => params[0] === 'child-b'
+      ? { status: 404, body: { error: 'not found' } }
+      : { body: { childId: params[0], name: 'Test Child', dateOfBirth: '2024-01-15', gender: 'female' } });
+
+    const counts = await backfill({});
+
+    assert.deepEqual(counts, { found: 3, warmed: 2, skipped: 0, failed: 1 });
+    assert.equal(await harness.entry('v2:summary:child-b'), null);
+
+    // Running again retries only the child that failed
+    harness.upstream.reset();
+    const retried = await backfill({});
+
+    assert.deepEqual(retried, { found: 3, warmed: 3, skipped: 0, failed: 0 });
+    assert.deepEqual(harness.upstream.requestsFor('childProfile').map(request => request.path), ['/child-profile/child-b']);
+    assert.notEqual(await harness.entry('v2:summary:child-b'), null);
+  });
+
+  test('dry run neither refreshes nor checkpoints', async () => {
+    harness.seed('child_profile', profiles);
+
+    const counts = await backfill({ dryRun: true });
+
+    assert.equal(counts.found, 3);
+    assert.equal(harness.upstream.requests.length, 0);
+    assert.equal(await harness.redis.get('backfill:profiles'), null);
+  });
+});
@@ -0,0 +1,195 @@
+const { describe, test, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRedis } = require('./helpers/memory-redis');
+const { getCollectionConfig } = require('../collection-registry');
+const { getCacheKey, getKeyMatcher, getWriteVersions, encodeEntry, decodeEntry } = require('../cache-keys');
+const { getKeyNamespace } = require('../key-namespace');
+const { migrateLegacyKeys } = require('../migrate-cache-keys');
+const { inspectKeys } = require('../check-redis');
+
+const summary = { childId: 'child-1', days: 7 };
+const profile = { childId: 'child-1', name: 'Test Child' };
+
+// The test collection's keys are namespaced by project
+before(() => {
+  process.env.FIREBASE_PROJECT_ID = 'demo-test';
+});
+
+describe('cache key schema', () => {
+  test('legacy values round-trip through the current entry shape', () => {
+    const legacyValues = {
+      summary: { data: summary, timeZone: 'UTC', sourceVersion: '1', stale: false, lastSuccessAt: 'x', expiresAt: 1 },
+      parentChild: { last7daySummary: summary, currentDayLogs: {}, timeZone: 'UTC', sourceVersion: '1', lastUpdated: 'x', eventSource: 'feedEvents' },
+      parentChildProfile: { profile, timeZone: 'UTC', sourceVersion: '1', lastUpdated: 'x', eventSource: 'child_profile' },
+      limited: { eventData: { childId: 'child-1' }, sourceVersion: '1', lastUpdated: 'x', eventSource: 'feedEvents', processingMode: 'limited_no_auth' }
+    };
+
+    for (const [keyName, legacyValue] of Object.entries(legacyValues)) {
+      const entry = decodeEntry(keyName, legacyValue);
+      assert.deepEqual(encodeEntry(keyName, entry, 1), legacyValue, keyName);
+      assert.deepEqual(decodeEntry(keyName, encodeEntry(keyName, entry)), entry, keyName);
+    }
+    assert.deepEqual(decodeEntry('parentChild', legacyValues.parentChild).data, { last7daySummary: summary, currentDayLogs: {} });
+  });
+
+  test('writers dual-write the legacy schema unless it is turned off', () => {
+    delete process.env.CACHE_DUAL_WRITE_LEGACY;
+    assert.deepEqual(getWriteVersions(), [2, 1]);
+
+    process.env.CACHE_DUAL_WRITE_LEGACY = 'false';
+    assert.deepEqual(getWriteVersions(), [2]);
+    delete process.env.CACHE_DUAL_WRITE_LEGACY;
+  });
+});
+
+describe('key namespace', () => {
+  afterEach(() => {
+    delete process.env.CACHE_KEY_NAMESPACE;
+    delete process.env.CACHE_ENV;
+  });
+
+  test('prefixes every schema version with the configured namespace', () => {
+    process.env.CACHE_KEY_NAMESPACE = '{env}:{project}';
+    process.env.CACHE_ENV = 'staging';
+    const feedEvents = getCollectionConfig('feedEvents');
+
+    assert.equal(getCacheKey(feedEvents, 'summary', { childId: 'child-1' }).key, 'staging:demo-test:v2:summary:child-1');
+    assert.equal(getCacheKey(feedEvents, 'summary', { childId: 'child-1' }, 1).key, 'staging:demo-test:summary:child-1');
+    assert.deepEqual(
+      { ...getKeyMatcher(feedEvents, 'parentChild').exec('staging:demo-test:v2:parent:parent-1:child:child-1').groups },
+      { parentId: 'parent-1', childId: 'child-1' }
+    );
+  });
+
+  test('a collection keyNamespace takes precedence', () => {
+    process.env.CACHE_KEY_NAMESPACE = 'prod';
+
+    assert.equal(getCacheKey(getCollectionConfig('testEvents'), 'daylog', { childId: 'child-1' }).key,
+      'test:demo-test:v2:daylog:child-1');
+  });
+
+  test('rejects unset placeholders and characters that break SCAN', () => {
+    assert.equal(getKeyNamespace(''), '');
+    assert.throws(() => getKeyNamespace('{env}'), /not configured/);
+    assert.throws(() => getKeyNamespace('{tenant}'), /unknown placeholder/);
+    assert.throws(() => getKeyNamespace('load test*'), /must not contain/);
+  });
+});
+
+describe('migrate-cache-keys', () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = createMemoryRedis();
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('copies legacy keys to the current schema, keeping their TTL', async () => {
+    await redis.set('summary:child-1', JSON.stringify({ data: summary, sourceVersion: '001', stale: false }),
+      { expiration: { type: 'EX', value: 600 } });
+    await redis.set('profile:parent:parent-1:child:child-1', JSON.stringify({ profile, sourceVersion: '001' }));
+
+    const counts = await migrateLegacyKeys(redis);
+
+    assert.deepEqual(counts, { found: 2, migrated: 2, alreadyCurrent: 0, unreadable: 0, deleted: 0 });
+    assert.deepEqual(JSON.parse(await redis.get('v2:summary:child-1')),
+      { schemaVersion: 2, data: summary, sourceVersion: '001', stale: false });
+    assert.equal(await redis.ttl('v2:summary:child-1'), 600);
+    assert.deepEqual(JSON.parse(await redis.get('v2:profile:parent:parent-1:child:child-1')),
+      { schemaVersion: 2, data: profile, sourceVersion: '001' });
+    assert.equal(await redis.ttl('v2:profile:parent:parent-1:child:child-1'),
+      getCollectionConfig('child_profile').keys.parentChildProfile.ttl);
+    // The legacy keys stay for readers that have not been upgraded
+    assert.notEqual(await redis.get('summary:child-1'), null);
+  });
+
+  test('never replaces newer current-schema data, and can delete legacy keys', async () => {
+    await redis.set('daylog:child-1', JSON.stringify({ data: { feed: [] }, sourceVersion: '001' }));
+    await redis.set('v2:daylog:child-1', JSON.stringify({ schemaVersion: 2, data: { feed: [1] }, sourceVersion: '002' }));
+
+    const counts = await migrateLegacyKeys(redis, { deleteLegacy: true });
+
+    assert.equal(counts.alreadyCurrent, 1);
+    assert.equal(counts.deleted, 1);
+    assert.deepEqual(JSON.parse(await redis.get('v2:daylog:child-1')).data, { feed: [1] });
+    assert.equal(await redis.get('daylog:child-1'), null);
+  });
+
+  test('dry run writes nothing', async () => {
+    await redis.set('summary:child-1', JSON.stringify({ data: summary, sourceVersion: '001' }));
+
+    const counts = await migrateLegacyKeys(redis, { dryRun: true });
+
+    assert.equal(counts.found, 1);
+    assert.equal(await redis.get('v2:summary:child-1'), null);
+  });
+});
+
+describe('check-redis', () => {
+  let redis;
+
+  async function seed(keys) {
+    for (const key of keys) {
+      await redis.set(key, JSON.stringify({ schemaVersion: 2, data: {}, sourceVersion: '001', eventSource: 'feedEvents' }));
+    }
+  }
+
+  const keysOf = found => found.keys.map(entry => entry.key);
+
+  beforeEach(() => {
+    redis = createMemoryRedis();
+  });
+
+  afterEach(() => {
+    delete process.env.CACHE_KEY_NAMESPACE;
+  });
+
+  test('lists a child\'s keys in every collection namespace', async () => {
+    await seed([
+      'v2:summary:child-1',
+      'v2:parent:parent-1:child:child-1',
+      'profile:parent:parent-2:child:child-1',
+      'test:demo-test:v2:daylog:child-1',
+      'v2:summary:child-2'
+    ]);
+
+    const found = await inspectKeys(redis, { childId: 'child-1' });
+
+    assert.deepEqual(keysOf(found), [
+      'profile:parent:parent-2:child:child-1',
+      'test:demo-test:v2:daylog:child-1',
+      'v2:parent:parent-1:child:child-1',
+      'v2:summary:child-1'
+    ]);
+    assert.equal(found.keys[0].schemaVersion, 2);
+  });
+
+  test('finds the children of a parent', async () => {
+    await seed(['v2:parent:parent-1:child:child-1', 'v2:summary:child-1', 'v2:parent:parent-10:child:child-2']);
+
+    const found = await inspectKeys(redis, { parentId: 'parent-1' });
+
+    assert.deepEqual(found.childIds, ['child-1']);
+    assert.deepEqual(keysOf(found), ['v2:parent:parent-1:child:child-1', 'v2:summary:child-1']);
+  });
+
+  test('IDs with glob characters match only themselves', async () => {
+    await seed(['v2:parent:parent-1:child:child-1', 'v2:parent:parent-1:child:child-?']);
+
+    assert.deepEqual(keysOf(await inspectKeys(redis, { childId: 'child-?' })), ['v2:parent:parent-1:child:child-?']);
+    assert.deepEqual(await inspectKeys(redis, { parentId: 'parent-*' }), { childIds: [], keys: [] });
+  });
+
+  test('--namespace replaces every collection namespace', async () => {
+    process.env.CACHE_KEY_NAMESPACE = 'prod';
+    await seed(['staging:v2:summary:child-1', 'staging:v2:daylog:child-1', 'test:demo-test:v2:daylog:child-1']);
+
+    assert.deepEqual(keysOf(await inspectKeys(redis, { childId: 'child-1', namespace: 'staging' })),
+      ['staging:v2:daylog:child-1', 'staging:v2:summary:child-1']);
+    assert.deepEqual(keysOf(await inspectKeys(redis, { childId: 'child-1' })), ['test:demo-test:v2:daylog:child-1']);
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers/harness');
+const { loadEvent } = require('./helpers/cloud-events');
+const { createCacheReader } = require('../cache-reader');
+
+const NOW = '2024-06-01T12:00:00.000Z';
+const NOW_MS = Date.parse(NOW);
+const TIME_ZONE = 'America/Los_Angeles';
+
+const summary = { childId: 'child-1', timeZone: TIME_ZONE, days: 7 };
+const dayLogs = { childId: 'child-1', timeZone: TIME_ZONE, feed: [], sleep: [], diaper: [], pumping: [] };
+const profile = {
+  childId: 'child-1',
+  name: 'Test Child',
+  dateOfBirth: '2024-01-15',
+  gender: 'female',
+  timeZone: 'Europe/London'
+};
+
+describe('cache reader', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  beforeEach(() => {
+    harness.reset();
+    mock.timers.enable({ apis: ['Date'], now: NOW_MS });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  test('reads what the triggers wrote', async () => {
+    // The profile does not exist yet when the feed is written: its day is
+    // computed in the default timezone
+    harness.upstream.respond('childProfile', () => ({ status: 404, body: { error: 'not found' } }));
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+    harness.upstream.reset();
+    await harness.invoke('childProfileTrigger', loadEvent('child-profile-updated'));
+    const reader = createCacheReader(harness.redis);
+
+    assert.deepEqual(await reader.getSummary('child-1'), {
+      data: summary,
+      timeZone: TIME_ZONE,
+      stale: false,
+      lastSuccessAt: NOW,
+      lastError: null,
+      source: 'cache'
+    });
+    assert.deepEqual((await reader.getDayLog('child-1')).data, dayLogs);
+    assert.deepEqual((await reader.getProfile('child-1')).data, profile);
+
+    const context = await reader.getChildContext('parent-1', 'child-1');
+    assert.equal(context.timeZone, 'Europe/London');
+    assert.deepEqual(context.summary.data, summary);
+    assert.deepEqual(context.dayLog.data, dayLogs);
+    assert.deepEqual(context.profile, {
+      data: profile,
+      timeZone: 'Europe/London',
+      stale: false,
+      lastSuccessAt: NOW,
+      lastError: null,
+      source: 'cache'
+    });
+  });
+
+  test('falls back to keys in the legacy schema', async () => {
+    await harness.redis.set('summary:child-1', JSON.stringify({ data: summary, timeZone: TIME_ZONE, stale: false }));
+    await harness.redis.set('parent:parent-1:child:child-1', JSON.stringify({ currentDayLogs: dayLogs, timeZone: TIME_ZONE }));
+    await harness.redis.set('profile:parent:parent-1:child:child-1', JSON.stringify({ profile, timeZone: 'Europe/London' }));
+    const reader = createCacheReader(harness.redis);
+
+    const context = await reader.getChildContext('parent-1', 'child-1');
+    assert.deepEqual(context.summary.data, summary);
+    assert.deepEqual(context.dayLog.data, dayLogs);
+    assert.deepEqual(context.profile.data, profile);
+  });
+
+  test('misses resolve to null without calling the API', async () => {
+    const reader = createCacheReader(harness.redis);
+
+    assert.equal(await reader.getSummary('child-1', { parentId: 'parent-1' }), null);
+    assert.equal(await reader.getProfile('child-1'), null);
+    assert.deepEqual(await reader.getChildContext('parent-1', 'child-1'), {
+      parentId: 'parent-1',
+      childId: 'child-1',
+      timeZone: null,
+      summary: null,
+      dayLog: null,
+      profile: null
+    });
+    assert.equal(harness.upstream.requests.length, 0);
+  });
+
+  test('read-through fills misses from the API and caches them', async () => {
+    const reader = createCacheReader(harness.redis, { readThrough: true });
+
+    const context = await reader.getChildContext('parent-1', 'child-1');
+    assert.equal(context.summary.source, 'upstream');
+    assert.deepEqual(context.summary.data, summary);
+    assert.deepEqual(context.dayLog.data, dayLogs);
+    assert.deepEqual(context.profile.data, profile);
+
+    const { value, ttl } = await harness.entry('v2:summary:child-1');
+    assert.equal(ttl, 86400);
+    assert.deepEqual(value, {
+      schemaVersion: 2,
+      data: summary,
+      timeZone: TIME_ZONE,
+      sourceVersion: '001717243200.000000000',
+      lastUpdated: NOW,
+      eventSource: 'read_through',
+      stale: false,
+      lastSuccessAt: NOW,
+      expiresAt: NOW_MS + 86400 * 1000
+    });
+    assert.equal((await harness.entry('v2:daylog:child-1')).ttl, 1800);
+    assert.equal((await harness.entry('v2:profile:child-1')).value.timeZone, 'Europe/London');
+
+    // Served from the cache from now on
+    assert.equal((await reader.getSummary('child-1', { parentId: 'parent-1' })).source, 'cache');
+    assert.equal(harness.upstream.requestsFor('summary').length, 1);
+  });
+
+  test('read-through needs a parentId for the auth token', async () => {
+    const reader = createCacheReader(harness.redis, { readThrough: true });
+
+    assert.equal(await reader.getDayLog('child-1'), null);
+    assert.equal(harness.upstream.requests.length, 0);
+  });
+
+  test('read-through surfaces upstream failures as typed errors', async () => {
+    harness.upstream.respond('summary', () => ({ status: 503, body: { error: 'unavailable' } }));
+    const reader = createCacheReader(harness.redis, { readThrough: true });
+
+    await assert.rejects(
+      reader.getSummary('child-1', { parentId: 'parent-1' }),
+      { name: 'UpstreamTransient', retryable: true }
+    );
+    assert.deepEqual(harness.redis.dataKeys(), []);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRedis } = require('./helpers/memory-redis');
+const { withCircuitBreaker } = require('../circuit-breaker');
+
+const NOW_MS = Date.parse('2024-06-01T12:00:00.000Z');
+
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+}
+
+describe('circuit breaker', () => {
+  let redis;
+
+  // Open the summary circuit and let the open period pass, so the next call is the probe
+  async function halfOpen() {
+    await assert.rejects(withCircuitBreaker(redis, 'summary', () => Promise.reject(httpError(503))));
+    await assert.rejects(withCircuitBreaker(redis, 'summary', () => Promise.resolve('skipped')), { reasonCode: 'circuit_open' });
+    mock.timers.tick(30000);
+  }
+
+  beforeEach(() => {
+    redis = createMemoryRedis();
+    process.env.CIRCUIT_FAILURE_THRESHOLD = '1';
+    mock.timers.enable({ apis: ['Date'], now: NOW_MS });
+  });
+
+  afterEach(() => {
+    delete process.env.CIRCUIT_FAILURE_THRESHOLD;
+    mock.timers.reset();
+  });
+
+  test('a probe that fails with a transient error opens the circuit again', async () => {
+    await halfOpen();
+
+    await assert.rejects(withCircuitBreaker(redis, 'summary', () => Promise.reject(httpError(503))));
+
+    await assert.rejects(withCircuitBreaker(redis, 'summary', () => Promise.resolve('ok')), { reasonCode: 'circuit_open' });
+  });
+
+  test('a probe answered with a client error closes the circuit', async () => {
+    await halfOpen();
+
+    await assert.rejects(withCircuitBreaker(redis, 'summary', () => Promise.reject(httpError(404))), /status code 404/);
+
+    assert.equal(await withCircuitBreaker(redis, 'summary', () => Promise.resolve('ok')), 'ok');
+    assert.equal(await withCircuitBreaker(redis, 'summary', () => Promise.resolve('ok')), 'ok');
+  });
+
+  test('client errors never count towards opening', async () => {
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(withCircuitBreaker(redis, 'summary', () => Promise.reject(httpError(400))));
+    }
+
+    assert.equal(await withCircuitBreaker(redis, 'summary', () => Promise.resolve('ok')), 'ok');
+  });
+});
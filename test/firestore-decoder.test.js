@@ -0,0 +1,87 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeFirestoreEvent } = require('../firestore-decoder');
+const { fromFirestoreValue, serializeForRedis } = require('../firestore-values');
+const { varintField, doubleField, bytesField, encodeValue, encodeDocumentEventData } = require('./helpers/cloud-events');
+
+const DOCUMENT_NAME = 'projects/demo-test/databases/(default)/documents/feedEvents/feed-1';
+
+// A created event whose document has one field `f` with the given encoded Value
+function eventWithValue(valueBytes) {
+  const entry = Buffer.concat([bytesField(1, 'f'), bytesField(2, valueBytes)]);
+  return bytesField(1, Buffer.concat([bytesField(1, DOCUMENT_NAME), bytesField(2, entry)]));
+}
+
+function decodedValue(valueBytes) {
+  return decodeFirestoreEvent(eventWithValue(valueBytes)).value.fields.f;
+}
+
+describe('firestore decoder', () => {
+  test('decodes every value type', () => {
+    const values = [
+      { nullValue: null },
+      { booleanValue: true },
+      { integerValue: '9007199254740993' },
+      { integerValue: '-42' },
+      { doubleValue: 1.5 },
+      { referenceValue: 'projects/demo-test/databases/(default)/documents/child_profile/child-1' },
+      { mapValue: { fields: { amount: { integerValue: '120' }, unit: { stringValue: 'ml' } } } },
+      { geoPointValue: { latitude: 52.5, longitude: -13.25 } },
+      { arrayValue: { values: [{ stringValue: 'a' }, { booleanValue: false }] } },
+      { timestampValue: '2024-06-01T11:59:59.123456789Z' },
+      { stringValue: 'hello' },
+      { bytesValue: Buffer.from('raw bytes').toString('base64') }
+    ];
+
+    for (const value of values) {
+      assert.deepEqual(decodedValue(encodeValue(value)), value);
+    }
+  });
+
+  test('timestamps keep their sub-millisecond precision on the way to Redis', () => {
+    const value = decodedValue(encodeValue({ timestampValue: '2024-06-01T11:59:59.123456789Z' }));
+
+    assert.equal(serializeForRedis({ startTime: fromFirestoreValue(value) }), '{"startTime":"2024-06-01T11:59:59.123456789Z"}');
+    // Whole milliseconds look like Date#toISOString, whatever the input form
+    assert.equal(fromFirestoreValue({ timestampValue: '2024-06-01T11:30:00Z' }), '2024-06-01T11:30:00.000Z');
+    assert.equal(fromFirestoreValue({ timestampValue: '2024-06-01T13:30:00.25+02:00' }), '2024-06-01T11:30:00.250Z');
+  });
+
+  test('decodes documents, old documents and the update mask', () => {
+    const data = {
+      value: { name: DOCUMENT_NAME, fields: { amount: { integerValue: '120' } }, updateTime: '2024-06-01T11:59:59.5Z' },
+      oldValue: { name: DOCUMENT_NAME, fields: { amount: { integerValue: '90' } }, updateTime: '2024-06-01T11:59:59.123456Z' },
+      updateMask: { fieldPaths: ['amount'] }
+    };
+
+    assert.deepEqual(decodeFirestoreEvent(encodeDocumentEventData(data)), data);
+  });
+
+  test('skips a value case that arrives with the wrong wire type', () => {
+    // doubleValue as a varint, then a string
+    assert.deepEqual(decodedValue(Buffer.concat([varintField(3, 5), bytesField(17, 'after')])), { stringValue: 'after' });
+    // stringValue as a varint, then a double
+    assert.deepEqual(decodedValue(Buffer.concat([varintField(17, 1), doubleField(3, 2.5)])), { doubleValue: 2.5 });
+    // mapValue as a fixed64
+    assert.deepEqual(decodedValue(Buffer.concat([doubleField(6, 1), varintField(1, 1)])), { booleanValue: true });
+  });
+
+  test('rejects truncated input', () => {
+    const buffer = eventWithValue(encodeValue({ timestampValue: '2024-06-01T11:59:59.5Z' }));
+
+    for (let length = 1; length < buffer.length; length++) {
+      assert.throws(() => decodeFirestoreEvent(buffer.subarray(0, length)), /Truncated|Malformed/, `length ${length}`);
+    }
+    assert.throws(() => decodedValue(Buffer.from([0x19, 0x00, 0x00])), /Truncated/);
+  });
+
+  test('rejects buffers that are not a DocumentEventData message', () => {
+    assert.throws(() => decodeFirestoreEvent(Buffer.from('{"value":{}}')));
+    assert.throws(() => decodeFirestoreEvent(varintField(5, 1)), /does not contain/);
+    assert.throws(() => decodeFirestoreEvent('not a buffer'), /must be a Buffer/);
+  });
+
+  test('an empty buffer is an event without documents', () => {
+    assert.deepEqual(decodeFirestoreEvent(Buffer.alloc(0)), {});
+  });
+});
@@ -0,0 +1,119 @@
+// Fixture CloudEvents for the harness. Fixtures in test/fixtures hold the JSON
+// form of a Firestore "written" event; encodeDocumentEventData turns its data
+// into the DocumentEventData protobuf Eventarc actually delivers.
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Minimal protobuf writer, the encoding side of firestore-decoder.js
+function varint(value) {
+  let n = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+  do {
+    let byte = Number(n & 0x7fn);
+    n >>= 7n;
+    if (n > 0n) byte |= 0x80;
+    bytes.push(byte);
+  } while (n > 0n);
+  return Buffer.from(bytes);
+}
+
+function tag(fieldNumber, wireType) {
+  return varint((fieldNumber << 3) | wireType);
+}
+
+function varintField(fieldNumber, value) {
+  return Buffer.concat([tag(fieldNumber, 0), varint(value)]);
+}
+
+function doubleField(fieldNumber, value) {
+  const bytes = Buffer.alloc(8);
+  bytes.writeDoubleLE(value);
+  return Buffer.concat([tag(fieldNumber, 1), bytes]);
+}
+
+function bytesField(fieldNumber, bytes) {
+  const buffer = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes, 'utf8');
+  return Buffer.concat([tag(fieldNumber, 2), varint(buffer.length), buffer]);
+}
+
+function encodeTimestamp(timestamp) {
+  const match = /^(.*?)(?:\.(\d{1,9}))?Z$/.exec(timestamp);
+  const seconds = Math.floor(Date.parse(`${match[1]}Z`) / 1000);
+  const nanos = match[2] ? parseInt(match[2].padEnd(9, '0')) : 0;
+  return Buffer.concat([varintField(1, seconds), nanos ? varintField(2, nanos) : Buffer.alloc(0)]);
+}
+
+function encodeFields(fieldNumber, fields) {
+  return Buffer.concat(Object.entries(fields || {}).map(([key, value]) =>
+    bytesField(fieldNumber, Buffer.concat([bytesField(1, key), bytesField(2, encodeValue(value))]))
+  ));
+}
+
+function encodeValue(value) {
+  if ('nullValue' in value) return varintField(11, 0);
+  if ('booleanValue' in value) return varintField(1, value.booleanValue ? 1 : 0);
+  if ('integerValue' in value) return varintField(2, value.integerValue);
+  if ('doubleValue' in value) return doubleField(3, value.doubleValue);
+  if ('referenceValue' in value) return bytesField(5, value.referenceValue);
+  if ('mapValue' in value) return bytesField(6, encodeFields(1, value.mapValue.fields));
+  if ('geoPointValue' in value) {
+    return bytesField(8, Buffer.concat([
+      doubleField(1, value.geoPointValue.latitude),
+      doubleField(2, value.geoPointValue.longitude)
+    ]));
+  }
+  if ('arrayValue' in value) {
+    return bytesField(9, Buffer.concat((value.arrayValue.values || []).map(item => bytesField(1, encodeValue(item)))));
+  }
+  if ('timestampValue' in value) return bytesField(10, encodeTimestamp(value.timestampValue));
+  if ('stringValue' in value) return bytesField(17, value.stringValue);
+  if ('bytesValue' in value) return bytesField(18, Buffer.from(value.bytesValue, 'base64'));
+  throw new Error(`Cannot encode Firestore value ${JSON.stringify(value)}`);
+}
+
+function encodeDocument(document) {
+  return Buffer.concat([
+    document.name ? bytesField(1, document.name) : Buffer.alloc(0),
+    encodeFields(2, document.fields),
+    document.createTime ? bytesField(3, encodeTimestamp(document.createTime)) : Buffer.alloc(0),
+    document.updateTime ? bytesField(4, encodeTimestamp(document.updateTime)) : Buffer.alloc(0)
+  ]);
+}
+
+function encodeDocumentEventData(data) {
+  return Buffer.concat([
+    data.value ? bytesField(1, encodeDocument(data.value)) : Buffer.alloc(0),
+    data.oldValue ? bytesField(2, encodeDocument(data.oldValue)) : Buffer.alloc(0),
+    data.updateMask
+      ? bytesField(3, Buffer.concat(data.updateMask.fieldPaths.map(fieldPath => bytesField(1, fieldPath))))
+      : Buffer.alloc(0)
+  ]);
+}
+
+let eventCounter = 0;
+
+// Load test/fixtures/<name>.json as a CloudEvent. Each call gets a fresh event
+// id so the event ledger never treats two test invocations as duplicates.
+function loadEvent(name, { encoding = 'json' } = {}) {
+  const event = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+  event.id = `${event.id}-${++eventCounter}`;
+
+  if (encoding === 'protobuf') {
+    event.data = encodeDocumentEventData(event.data);
+    event.datacontenttype = 'application/protobuf';
+  }
+
+  return event;
+}
+
+module.exports = {
+  varintField,
+  doubleField,
+  bytesField,
+  encodeValue,
+  encodeDocumentEventData,
+  loadEvent
+};
@@ -0,0 +1,165 @@
+// Loads index.js against local stand-ins and hands out the registered
+// functions.cloudEvent handlers:
+//   - Redis: the in-memory stand-in from memory-redis.js
+//   - upstream API: the mock server from mock-upstream.js (UPSTREAM_ENV=local, API_URL)
+//   - firebase-admin: a stub credential, and a Firestore stub that records
+//     processing_failures writes and answers queries over documents seeded
+//     with harness.seed()
+// Set HARNESS_VERBOSE=1 to see the functions' own logging.
+
+const admin = require('firebase-admin');
+const redis = require('redis');
+const { getFunction } = require('@google-cloud/functions-framework/testing');
+const { createMemoryRedis } = require('./memory-redis');
+const { startMockUpstream } = require('./mock-upstream');
+
+const SERVER_TIMESTAMP = 'SERVER_TIMESTAMP';
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '<': (a, b) => a < b
+};
+
+// Dates compare by time, like Firestore timestamps
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+// A document's value of a field; '__name__' is the document ID
+function fieldValue({ id, data }, field) {
+  return comparable(field === '__name__' ? id : data[field]);
+}
+
+function compareBy(fields, a, b) {
+  for (let i = 0; i < fields.length; i++) {
+    const x = a[i];
+    const y = b[i];
+    if (x < y) return -1;
+    if (x > y) return 1;
+  }
+  return 0;
+}
+
+// Query over seeded documents: where, orderBy (ascending), startAfter and limit
+function stubQuery(documents, { filters = [], orders = [], after = null, count = Infinity } = {}) {
+  const refine = changes => stubQuery(documents, { filters, orders, after, count, ...changes });
+  return {
+    where: (field, op, value) => refine({ filters: [...filters, { field, op, value }] }),
+    orderBy: field => refine({ orders: [...orders, field] }),
+    startAfter: (...values) => refine({ after: values.map(comparable) }),
+    limit: n => refine({ count: n }),
+    get: async () => {
+      let matches = documents.filter(doc => filters.every(({ field, op, value }) =>
+        fieldValue(doc, field) !== undefined && OPERATORS[op](fieldValue(doc, field), comparable(value))));
+      if (orders.length > 0) {
+        const key = doc => orders.map(field => fieldValue(doc, field));
+        matches = matches.sort((a, b) => compareBy(orders, key(a), key(b)));
+        if (after) {
+          matches = matches.filter(doc => compareBy(orders, key(doc), after) > 0);
+        }
+      }
+      return {
+        docs: matches.slice(0, count).map(({ id, data }) => ({ id, exists: true, data: () => ({ ...data }) }))
+      };
+    }
+  };
+}
+
+function stubFirestore(failures, documents) {
+  const firestore = () => ({
+    collection: name => ({
+      ...stubQuery(documents.get(name) || []),
+      add: async doc => {
+        failures.push({ collection: name, doc });
+        return { id: `failure-${failures.length}` };
+      }
+    })
+  });
+  firestore.FieldValue = {
+    serverTimestamp: () => SERVER_TIMESTAMP,
+    increment: n => ({ increment: n })
+  };
+  return firestore;
+}
+
+async function startHarness() {
+  const upstream = await startMockUpstream();
+  const memoryRedis = createMemoryRedis();
+  const failures = [];
+  // collection -> [{ id, data }]
+  const documents = new Map();
+
+  Object.assign(process.env, {
+    UPSTREAM_ENV: 'local',
+    API_URL: upstream.url,
+    API_MAX_RETRIES: '0',
+    REFRESH_DEBOUNCE_MS: '0',
+    DEFAULT_TIMEZONE: 'America/Los_Angeles',
+    REDIS_CLUSTER_MODE: 'false',
+    CACHE_DUAL_WRITE_LEGACY: 'false',
+    FIREBASE_PROJECT_ID: 'demo-test'
+  });
+
+  redis.createClient = () => memoryRedis;
+  redis.createCluster = () => memoryRedis;
+  admin.credential.cert = () => ({
+    getAccessToken: async () => ({ access_token: 'test', expires_in: 3600 })
+  });
+  Object.defineProperty(admin, 'firestore', { value: stubFirestore(failures, documents), configurable: true });
+
+  if (process.env.HARNESS_VERBOSE !== '1') {
+    for (const method of ['log', 'info', 'warn', 'error']) {
+      console[method] = () => {};
+    }
+  }
+
+  require('../../index');
+
+  return {
+    redis: memoryRedis,
+    upstream,
+    failures,
+
+    // Run a registered trigger the way the Functions Framework would
+    invoke(trigger, cloudEvent) {
+      const handler = getFunction(trigger);
+      if (!handler) {
+        throw new Error(`No function registered as ${trigger}`);
+      }
+      return handler(cloudEvent);
+    },
+
+    // Add documents to a collection of the Firestore stub
+    seed(collection, docs) {
+      documents.set(collection, [...(documents.get(collection) || []), ...docs]);
+    },
+
+    // Parsed value and TTL (seconds) of a key, or null if it does not exist
+    async entry(key) {
+      const value = await memoryRedis.get(key);
+      if (value === null) {
+        return null;
+      }
+      return { value: JSON.parse(value), ttl: await memoryRedis.ttl(key) };
+    },
+
+    reset() {
+      memoryRedis.flushAll();
+      upstream.reset();
+      failures.length = 0;
+      documents.clear();
+    },
+
+    close() {
+      return upstream.close();
+    }
+  };
+}
+
+module.exports = {
+  SERVER_TIMESTAMP,
+  startHarness
+};
@@ -0,0 +1,392 @@
+// In-memory stand-in for the node-redis client, covering the commands this
+// service uses. EVAL has no Lua interpreter: each of the project's scripts is
+// emulated in JavaScript, and an unknown script fails loudly so a new script
+// cannot slip past the tests unemulated.
+
+const { COMPARE_AND_SET_SCRIPT } = require('../../cache-versioning');
+const { RELEASE_LOCK_SCRIPT, RENEW_LOCK_SCRIPT, RECORD_VERSION_SCRIPT } = require('../../refresh-coalescer');
+const { RELEASE_SCRIPT } = require('../../event-ledger');
+const { CHECK_SCRIPT, FAILURE_SCRIPT } = require('../../circuit-breaker');
+const { ACQUIRE_SCRIPT } = require('../../concurrency-limiter');
+const { DAYLOG_UPDATE_SCRIPT } = require('../../daylog-updater');
+
+// Redis glob: * ? [...] and backslash escapes
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[' && pattern.indexOf(']', i + 1) > i) {
+      const end = pattern.indexOf(']', i + 1);
+      source += `[${pattern.slice(i + 1, end)}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// ZRANGEBYSCORE-style bound: a number, '-inf', '+inf', or '(' for exclusive
+function scoreBound(bound) {
+  const raw = String(bound);
+  const exclusive = raw.startsWith('(');
+  const text = exclusive ? raw.slice(1) : raw;
+  const value = text === '-inf' ? -Infinity : text === '+inf' ? Infinity : Number(text);
+  return { value, exclusive };
+}
+
+function inRange(score, min, max) {
+  const low = scoreBound(min);
+  const high = scoreBound(max);
+  return (low.exclusive ? score > low.value : score >= low.value) &&
+    (high.exclusive ? score < high.value : score <= high.value);
+}
+
+function createMemoryRedis() {
+  // key -> { value, expiresAt (ms) | null }; sorted sets hold a Map as value
+  const entries = new Map();
+
+  function lookup(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  function read(key) {
+    const entry = lookup(key);
+    return entry ? entry.value : null;
+  }
+
+  function write(key, value, expiresAt = null) {
+    entries.set(key, { value: String(value), expiresAt });
+  }
+
+  function expiryFrom(expiration) {
+    if (!expiration) {
+      return null;
+    }
+    const ms = expiration.type === 'PX' ? expiration.value : expiration.value * 1000;
+    return Date.now() + Number(ms);
+  }
+
+  const client = {
+    isOpen: false,
+
+    on() {
+      return client;
+    },
+
+    async connect() {
+      client.isOpen = true;
+      return client;
+    },
+
+    async quit() {
+      client.isOpen = false;
+    },
+
+    async get(key) {
+      return read(key);
+    },
+
+    async set(key, value, options = {}) {
+      const existing = lookup(key);
+      if (options.condition === 'NX' && existing) {
+        return null;
+      }
+      if (options.condition === 'XX' && !existing) {
+        return null;
+      }
+      if (options.expiration === 'KEEPTTL') {
+        write(key, value, existing ? existing.expiresAt : null);
+      } else {
+        write(key, value, expiryFrom(options.expiration));
+      }
+      return 'OK';
+    },
+
+    async setEx(key, seconds, value) {
+      write(key, value, Date.now() + seconds * 1000);
+      return 'OK';
+    },
+
+    async del(keys) {
+      let removed = 0;
+      for (const key of [].concat(keys)) {
+        if (lookup(key)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async exists(keys) {
+      return [].concat(keys).filter(key => lookup(key)).length;
+    },
+
+    async incr(key) {
+      const entry = lookup(key);
+      const next = parseInt(entry ? entry.value : '0') + 1;
+      write(key, next, entry ? entry.expiresAt : null);
+      return next;
+    },
+
+    async pExpire(key, ms) {
+      const entry = lookup(key);
+      if (!entry) {
+        return 0;
+      }
+      entry.expiresAt = Date.now() + Number(ms);
+      return 1;
+    },
+
+    async expire(key, seconds) {
+      return client.pExpire(key, seconds * 1000);
+    },
+
+    async pTTL(key) {
+      const entry = lookup(key);
+      if (!entry) {
+        return -2;
+      }
+      return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+    },
+
+    async ttl(key) {
+      const ms = await client.pTTL(key);
+      return ms < 0 ? ms : Math.ceil(ms / 1000);
+    },
+
+    async zAdd(key, members) {
+      let entry = lookup(key);
+      if (!entry) {
+        entry = { value: '', members: new Map(), expiresAt: null };
+        entries.set(key, entry);
+      }
+      let added = 0;
+      for (const { score, value } of [].concat(members)) {
+        if (!entry.members.has(value)) added++;
+        entry.members.set(value, Number(score));
+      }
+      return added;
+    },
+
+    async zRangeByScoreWithScores(key, min, max) {
+      const entry = lookup(key);
+      if (!entry || !entry.members) {
+        return [];
+      }
+      return Array.from(entry.members)
+        .filter(([, score]) => inRange(score, min, max))
+        .sort(([, a], [, b]) => a - b)
+        .map(([value, score]) => ({ value, score }));
+    },
+
+    async zRemRangeByScore(key, min, max) {
+      const entry = lookup(key);
+      if (!entry || !entry.members) {
+        return 0;
+      }
+      let removed = 0;
+      for (const [member, score] of entry.members) {
+        if (inRange(score, min, max)) {
+          entry.members.delete(member);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async zRem(key, member) {
+      const entry = lookup(key);
+      return entry && entry.members && entry.members.delete(member) ? 1 : 0;
+    },
+
+    async sAdd(key, members) {
+      let entry = lookup(key);
+      if (!entry) {
+        entry = { value: '', members: new Set(), expiresAt: null };
+        entries.set(key, entry);
+      }
+      let added = 0;
+      for (const member of [].concat(members)) {
+        if (!entry.members.has(String(member))) added++;
+        entry.members.add(String(member));
+      }
+      return added;
+    },
+
+    async sMembers(key) {
+      const entry = lookup(key);
+      return entry && entry.members ? Array.from(entry.members.keys()).sort() : [];
+    },
+
+    async *scanIterator({ MATCH = '*' } = {}) {
+      const pattern = globToRegExp(MATCH);
+      yield Array.from(entries.keys()).filter(key => lookup(key) && pattern.test(key));
+    },
+
+    async eval(script, { keys = [], arguments: args = [] } = {}) {
+      const emulate = SCRIPTS.get(script);
+      if (!emulate) {
+        throw new Error(`memory-redis: no emulation for script:\n${script}`);
+      }
+      return emulate(keys, args);
+    },
+
+    // Test helpers, not part of the node-redis API
+
+    // Live keys, sorted, without the bookkeeping of the ledger, coalescer,
+    // guards, scheduled refresh, backfill and timezone misses
+    dataKeys() {
+      return Array.from(entries.keys())
+        .filter(key => lookup(key))
+        .filter(key => !/^(event|refresh|circuit|upstream|active|backfill|timezone):/.test(key))
+        .sort();
+    },
+
+    flushAll() {
+      entries.clear();
+    }
+  };
+
+  const SCRIPTS = new Map([
+    [COMPARE_AND_SET_SCRIPT, ([key], [value, sourceVersion, ttl]) => {
+      const current = read(key);
+      if (current) {
+        try {
+          const decoded = JSON.parse(current);
+          if (decoded && typeof decoded.sourceVersion === 'string' && decoded.sourceVersion > sourceVersion) {
+            return 0;
+          }
+        } catch (error) {
+          // Not JSON: overwritten, like the script's pcall(cjson.decode)
+        }
+      }
+      const existing = lookup(key);
+      write(key, value, ttl === 'KEEPTTL'
+        ? (existing ? existing.expiresAt : null)
+        : Date.now() + Number(ttl) * 1000);
+      return 1;
+    }],
+
+    [DAYLOG_UPDATE_SCRIPT, ([key], [value, revision]) => {
+      const current = read(key);
+      if (!current) {
+        return 0;
+      }
+      try {
+        const decoded = JSON.parse(current);
+        if (!decoded || decoded.revision !== revision) {
+          return 0;
+        }
+      } catch (error) {
+        return 0;
+      }
+      write(key, value, lookup(key).expiresAt);
+      return 1;
+    }],
+
+    [RECORD_VERSION_SCRIPT, ([key], [version, ttlMs]) => {
+      const current = read(key);
+      if (!current || current < version) {
+        write(key, version, Date.now() + Number(ttlMs));
+        return version;
+      }
+      lookup(key).expiresAt = Date.now() + Number(ttlMs);
+      return current;
+    }],
+
+    [RELEASE_LOCK_SCRIPT, ([key], [token]) => {
+      if (read(key) === token) {
+        entries.delete(key);
+        return 1;
+      }
+      return 0;
+    }],
+
+    [RENEW_LOCK_SCRIPT, ([lockKey, ...keys], [token, ttlMs]) => {
+      if (read(lockKey) !== token) {
+        return 0;
+      }
+      for (const key of [lockKey, ...keys]) {
+        const entry = lookup(key);
+        if (entry) entry.expiresAt = Date.now() + Number(ttlMs);
+      }
+      return 1;
+    }],
+
+    [RELEASE_SCRIPT, ([key], [owner]) => {
+      if (read(key) === owner) {
+        entries.delete(key);
+        return 1;
+      }
+      return 0;
+    }],
+
+    [CHECK_SCRIPT, ([openKey, trippedKey, probeKey], [probeTtlMs]) => {
+      if (lookup(openKey)) {
+        return 'open';
+      }
+      if (lookup(trippedKey)) {
+        if (!lookup(probeKey)) {
+          write(probeKey, '1', Date.now() + Number(probeTtlMs));
+          return 'probe';
+        }
+        return 'open';
+      }
+      return 'closed';
+    }],
+
+    [FAILURE_SCRIPT, ([failuresKey, openKey, trippedKey, probeKey], [threshold, windowMs, openMs, trippedTtlMs, isProbe]) => {
+      let opened = isProbe === '1';
+      if (!opened) {
+        const existing = lookup(failuresKey);
+        const failures = parseInt(existing ? existing.value : '0') + 1;
+        write(failuresKey, failures, existing ? existing.expiresAt : Date.now() + Number(windowMs));
+        opened = failures >= Number(threshold);
+      }
+      if (opened) {
+        write(openKey, '1', Date.now() + Number(openMs));
+        write(trippedKey, '1', Date.now() + Number(trippedTtlMs));
+        entries.delete(failuresKey);
+        entries.delete(probeKey);
+        return 'open';
+      }
+      return 'closed';
+    }],
+
+    [ACQUIRE_SCRIPT, ([key], [now, limit, expiresAt, slotId, keyTtlMs]) => {
+      let entry = lookup(key);
+      if (!entry) {
+        entry = { value: '', members: new Map(), expiresAt: null };
+        entries.set(key, entry);
+      }
+      for (const [member, score] of entry.members) {
+        if (score <= Number(now)) {
+          entry.members.delete(member);
+        }
+      }
+      if (entry.members.size >= Number(limit)) {
+        return 0;
+      }
+      entry.members.set(slotId, Number(expiresAt));
+      entry.expiresAt = Date.now() + Number(keyTtlMs);
+      return 1;
+    }]
+  ]);
+
+  return client;
+}
+
+module.exports = { createMemoryRedis };
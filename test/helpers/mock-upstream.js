@@ -0,0 +1,82 @@
+// Local mock of the upstream API: token, summary, current-logs and
+// child-profile endpoints. Every request is recorded; tests can replace the
+// response of any endpoint with respond().
+
+const http = require('http');
+
+const ROUTES = [
+  { endpoint: 'token', method: 'GET', pattern: /^\/chatAssistant\/token\/([^/]+)$/ },
+  { endpoint: 'summary', method: 'POST', pattern: /^\/chatAssistant\/summary$/ },
+  { endpoint: 'currentLogs', method: 'POST', pattern: /^\/chatAssistant\/current-logs$/ },
+  { endpoint: 'childProfile', method: 'GET', pattern: /^\/child-profile\/([^/]+)$/ }
+];
+
+// Default responses, derived from the request so tests can predict them
+const DEFAULT_HANDLERS = {
+  token: ({ params }) => ({ body: { token: `token-${params[0]}` } }),
+  summary: ({ body }) => ({ body: { childId: body.childId, timeZone: body.timeZone, days: 7 } }),
+  currentLogs: ({ body }) => ({ body: { childId: body.childId, timeZone: body.timeZone, feed: [], sleep: [], diaper: [], pumping: [] } }),
+  childProfile: ({ params }) => ({
+    body: { childId: params[0], name: 'Test Child', dateOfBirth: '2024-01-15', gender: 'female', timeZone: 'Europe/London' }
+  })
+};
+
+async function startMockUpstream() {
+  const requests = [];
+  let handlers = { ...DEFAULT_HANDLERS };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const route = ROUTES.find(r => r.method === req.method && r.pattern.test(url.pathname));
+      if (!route) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `No mock for ${req.method} ${url.pathname}` }));
+        return;
+      }
+
+      const request = {
+        endpoint: route.endpoint,
+        method: req.method,
+        path: url.pathname,
+        params: route.pattern.exec(url.pathname).slice(1).map(decodeURIComponent),
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : undefined
+      };
+      requests.push(request);
+
+      const { status = 200, body = {}, headers = {} } = handlers[route.endpoint](request);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+
+    // Replace one endpoint's handler: request => { status, body, headers }
+    respond(endpoint, handler) {
+      handlers[endpoint] = handler;
+    },
+
+    requestsFor(endpoint) {
+      return requests.filter(request => request.endpoint === endpoint);
+    },
+
+    reset() {
+      requests.length = 0;
+      handlers = { ...DEFAULT_HANDLERS };
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startMockUpstream };
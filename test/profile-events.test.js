@@ -0,0 +1,104 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers/harness');
+const { loadEvent } = require('./helpers/cloud-events');
+
+const NOW = '2024-06-01T12:00:00.000Z';
+const NOW_MS = Date.parse(NOW);
+const SOURCE_VERSION = '001717243199.123456000';
+
+const profile = {
+  childId: 'child-1',
+  name: 'Test Child',
+  dateOfBirth: '2024-01-15',
+  gender: 'female',
+  timeZone: 'Europe/London'
+};
+
+describe('profile collection events', () => {
+  let harness;
+
+  before(async () => {
+    // Invalid, so ignored: failures are still classified (see the last test)
+    process.env.TEST_DATA_SUBJECT_PATTERN = '[';
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    delete process.env.TEST_DATA_SUBJECT_PATTERN;
+    await harness.close();
+  });
+
+  beforeEach(() => {
+    harness.reset();
+    mock.timers.enable({ apis: ['Date'], now: NOW_MS });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  for (const encoding of ['json', 'protobuf']) {
+    test(`updated profile (${encoding}) caches the profile with its timezone`, async () => {
+      await harness.invoke('childProfileTrigger', loadEvent('child-profile-updated', { encoding }));
+
+      assert.deepEqual(harness.redis.dataKeys(), ['v2:profile:child-1', 'v2:profile:parent:parent-1:child:child-1']);
+      const expected = {
+        schemaVersion: 2,
+        data: profile,
+        timeZone: 'Europe/London',
+        sourceVersion: SOURCE_VERSION,
+        lastUpdated: NOW,
+        eventSource: 'child_profile',
+        expiresAt: NOW_MS + 86400 * 1000
+      };
+      assert.deepEqual(await harness.entry('v2:profile:child-1'), { ttl: 86400, value: expected });
+      assert.deepEqual(await harness.entry('v2:profile:parent:parent-1:child:child-1'), { ttl: 86400, value: expected });
+
+      const [profileRequest] = harness.upstream.requestsFor('childProfile');
+      assert.equal(profileRequest.path, '/child-profile/child-1');
+      assert.equal(profileRequest.headers.authorization, 'Bearer token-parent-1');
+    });
+  }
+
+  test('activity refreshes use the timezone of the cached profile', async () => {
+    await harness.invoke('childProfileTrigger', loadEvent('child-profile-updated'));
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+
+    const [summaryRequest] = harness.upstream.requestsFor('summary');
+    assert.equal(summaryRequest.body.timeZone, 'Europe/London');
+    assert.equal((await harness.entry('v2:daylog:child-1')).value.timeZone, 'Europe/London');
+  });
+
+  test('deleted profile purges every cached copy', async () => {
+    await harness.invoke('childProfileTrigger', loadEvent('child-profile-updated'));
+    await harness.redis.set('v2:profile:parent:parent-2:child:child-1', '{}');
+    await harness.redis.set('profile:parent:parent-2:child:child-1', '{}');
+
+    await harness.invoke('childProfileTrigger', loadEvent('child-profile-deleted', { encoding: 'protobuf' }));
+
+    assert.deepEqual(harness.redis.dataKeys(), []);
+    assert.equal(harness.upstream.requestsFor('childProfile').length, 1);
+  });
+
+  test('a purge matches the child ID literally', async () => {
+    await harness.redis.set('v2:profile:parent:parent-2:child:child-2', '{}');
+    const event = loadEvent('child-profile-deleted');
+    event.data.oldValue.fields.childId = { stringValue: 'child-?' };
+
+    await harness.invoke('childProfileTrigger', event);
+
+    assert.deepEqual(harness.redis.dataKeys(), ['v2:profile:parent:parent-2:child:child-2']);
+  });
+
+  test('unknown child is acknowledged without caching', async () => {
+    harness.upstream.respond('childProfile', () => ({ status: 404, body: { error: 'not found' } }));
+
+    await harness.invoke('childProfileTrigger', loadEvent('child-profile-updated'));
+
+    assert.deepEqual(harness.redis.dataKeys(), []);
+    assert.equal(harness.failures.length, 1);
+    assert.equal(harness.failures[0].doc.errorType, 'UpstreamNotFound');
+    assert.equal(harness.failures[0].doc.reasonCode, 'upstream_not_found');
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRedis } = require('./helpers/memory-redis');
+const { coalesceRefresh, refreshIfIdle } = require('../refresh-coalescer');
+
+const VERSION = '001717243199.500000000';
+const PARENT_1 = { parentId: 'parent-1', childId: 'child-1' };
+const PARENT_2 = { parentId: 'parent-2', childId: 'child-1' };
+
+describe('refresh coalescer', () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = createMemoryRedis();
+    process.env.REFRESH_DEBOUNCE_MS = '0';
+  });
+
+  afterEach(() => {
+    delete process.env.REFRESH_DEBOUNCE_MS;
+    delete process.env.REFRESH_MAX_ROUNDS;
+    delete process.env.REFRESH_LOCK_TTL_MS;
+  });
+
+  test('co-parents of a child are refreshed separately', async () => {
+    const refreshed = [];
+    let finishFirst;
+    const first = coalesceRefresh(redis, PARENT_1, VERSION, () => {
+      refreshed.push('parent-1');
+      return new Promise(resolve => { finishFirst = resolve; });
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const second = await coalesceRefresh(redis, PARENT_2, VERSION, async () => { refreshed.push('parent-2'); });
+    finishFirst();
+
+    assert.deepEqual(second, { refreshed: true, rounds: 1 });
+    assert.deepEqual(await first, { refreshed: true, rounds: 1 });
+    assert.deepEqual(refreshed, ['parent-1', 'parent-2']);
+  });
+
+  test('a write made during the refresh gets another round', async () => {
+    let rounds = 0;
+    const outcome = await coalesceRefresh(redis, PARENT_1, VERSION, async () => {
+      if (++rounds === 1) {
+        assert.deepEqual(await coalesceRefresh(redis, PARENT_1, VERSION, async () => {}), { refreshed: false, reason: 'pending' });
+      }
+    });
+
+    assert.deepEqual(outcome, { refreshed: true, rounds: 2 });
+  });
+
+  test('a write still pending when the rounds run out fails the event for a retry', async () => {
+    process.env.REFRESH_MAX_ROUNDS = '2';
+    let rounds = 0;
+
+    await assert.rejects(
+      coalesceRefresh(redis, PARENT_1, VERSION, async () => {
+        rounds++;
+        await coalesceRefresh(redis, PARENT_1, VERSION, async () => {});
+      }),
+      { reasonCode: 'refresh_pending', retryable: true }
+    );
+    assert.equal(rounds, 2);
+
+    // The retry picks the marker up
+    assert.deepEqual(await coalesceRefresh(redis, PARENT_1, VERSION, async () => {}), { refreshed: true, rounds: 1 });
+  });
+
+  test('the lock is renewed while a refresh runs longer than its TTL', async () => {
+    process.env.REFRESH_LOCK_TTL_MS = '3000';
+    mock.timers.enable({ apis: ['setInterval', 'Date'] });
+    try {
+      let finishRefresh;
+      const slow = refreshIfIdle(redis, PARENT_1, VERSION, () => new Promise(resolve => { finishRefresh = resolve; }));
+      for (let i = 0; i < 6; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+        mock.timers.tick(1000);
+      }
+
+      assert.deepEqual(await refreshIfIdle(redis, PARENT_1, VERSION, async () => {}), { refreshed: false, reason: 'in_flight' });
+      finishRefresh();
+      assert.deepEqual(await slow, { refreshed: true, rounds: 1 });
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  test('a background refresh skips a pair being refreshed, and picks up writes made during its own', async () => {
+    let finishEvent;
+    const event = coalesceRefresh(redis, PARENT_1, VERSION, () => new Promise(resolve => { finishEvent = resolve; }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(await refreshIfIdle(redis, PARENT_1, '', async () => {}), { refreshed: false, reason: 'in_flight' });
+    finishEvent();
+    await event;
+
+    const versions = [];
+    const outcome = await refreshIfIdle(redis, PARENT_1, '', async (version) => {
+      versions.push(version);
+      if (versions.length === 1) {
+        await coalesceRefresh(redis, PARENT_1, '001717243200.000000000', async () => {});
+      }
+    });
+
+    assert.deepEqual(outcome, { refreshed: true, rounds: 2 });
+    assert.deepEqual(versions, [VERSION, '001717243200.000000000']);
+  });
+});
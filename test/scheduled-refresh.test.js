@@ -0,0 +1,130 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers/harness');
+const { loadEvent } = require('./helpers/cloud-events');
+const { recordActiveChild, listActiveChildren } = require('../active-children');
+
+const NOW = '2024-06-01T12:00:00.000Z';
+const NOW_MS = Date.parse(NOW);
+
+// What Cloud Scheduler publishes through Pub/Sub
+function schedulerEvent() {
+  return {
+    id: `scheduler-${Date.now()}`,
+    type: 'google.cloud.pubsub.topic.v1.messagePublished',
+    source: '//pubsub.googleapis.com/projects/demo-test/topics/cache-scheduled-refresh',
+    specversion: '1.0',
+    data: { message: { data: Buffer.from('{}').toString('base64') } }
+  };
+}
+
+describe('scheduled refresh', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  beforeEach(() => {
+    harness.reset();
+    // The child has no profile, so its day is computed in the default timezone
+    harness.upstream.respond('childProfile', () => ({ status: 404, body: { error: 'not found' } }));
+    mock.timers.enable({ apis: ['Date'], now: NOW_MS });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  test('leaves current keys alone and refreshes them before they expire', async () => {
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+
+    await harness.invoke('scheduledRefreshTrigger', schedulerEvent());
+    assert.equal(harness.upstream.requestsFor('currentLogs').length, 1);
+
+    // 10 minutes left on the day log
+    mock.timers.tick(1200 * 1000);
+    await harness.invoke('scheduledRefreshTrigger', schedulerEvent());
+
+    assert.equal(harness.upstream.requestsFor('summary').length, 2);
+    assert.equal(harness.upstream.requestsFor('currentLogs').length, 2);
+    const { value, ttl } = await harness.entry('v2:daylog:child-1');
+    assert.equal(ttl, 1800);
+    assert.equal(value.lastSuccessAt, new Date(NOW_MS + 1200 * 1000).toISOString());
+    // Stamped with the event's version, not the scheduler's clock
+    assert.equal(value.sourceVersion, '001717243199.123456000');
+  });
+
+  test('skips a child whose refresh is in flight', async () => {
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+
+    mock.timers.tick(1200 * 1000);
+    await harness.redis.set('refresh:lock:parent-1:child-1', 'event-refresh', { expiration: { type: 'PX', value: 60000 } });
+    await harness.invoke('scheduledRefreshTrigger', schedulerEvent());
+
+    assert.equal(harness.upstream.requestsFor('summary').length, 1);
+    assert.equal(await harness.redis.get('refresh:lock:parent-1:child-1'), 'event-refresh');
+  });
+
+  test('a child with current keys costs no upstream request', async () => {
+    // Later than the tokens other tests left in the token cache
+    mock.timers.setTime(NOW_MS + 10 * 86400 * 1000);
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+    harness.upstream.reset();
+    harness.upstream.respond('childProfile', () => ({ status: 404, body: { error: 'not found' } }));
+
+    // Past the token's lifetime, before the keys are due
+    mock.timers.tick(400 * 1000);
+    await harness.invoke('scheduledRefreshTrigger', schedulerEvent());
+
+    assert.deepEqual(harness.upstream.requests, []);
+  });
+
+  test('refreshes right after the child\'s local midnight', async () => {
+    // 11:50pm in Los Angeles
+    mock.timers.setTime(Date.parse('2024-06-02T06:50:00.000Z'));
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+
+    mock.timers.setTime(Date.parse('2024-06-02T07:05:00.000Z'));
+    await harness.invoke('scheduledRefreshTrigger', schedulerEvent());
+
+    assert.equal(harness.upstream.requestsFor('currentLogs').length, 2);
+    assert.equal((await harness.entry('v2:daylog:child-1')).value.lastSuccessAt, '2024-06-02T07:05:00.000Z');
+  });
+
+  test('forgets children inactive for longer than the window', async () => {
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+
+    mock.timers.tick((172800 + 1) * 1000);
+    await harness.invoke('scheduledRefreshTrigger', schedulerEvent());
+
+    assert.equal(harness.upstream.requestsFor('summary').length, 1);
+    assert.deepEqual(await harness.redis.zRangeByScoreWithScores('active:children', '-inf', '+inf'), []);
+  });
+
+  test('lists children whose IDs contain colons', async () => {
+    await recordActiveChild(harness.redis, 'feedEvents', 'parent:1', 'child:1');
+    // Recorded before members were JSON
+    await harness.redis.zAdd('active:children', { score: NOW_MS, value: 'sleepEvents:parent-2:child-2' });
+
+    assert.deepEqual(await listActiveChildren(harness.redis), [
+      { collectionName: 'feedEvents', parentId: 'parent:1', childId: 'child:1', lastActiveAt: NOW_MS },
+      { collectionName: 'sleepEvents', parentId: 'parent-2', childId: 'child-2', lastActiveAt: NOW_MS }
+    ]);
+  });
+
+  test('a failed child does not fail the run', async () => {
+    await harness.invoke('feedEventsTrigger', loadEvent('feed-created'));
+    harness.upstream.respond('summary', () => ({ status: 503, body: { error: 'unavailable' } }));
+
+    mock.timers.tick(1200 * 1000);
+    await harness.invoke('scheduledRefreshTrigger', schedulerEvent());
+
+    assert.equal((await harness.entry('v2:summary:child-1')).value.stale, true);
+    assert.equal((await harness.entry('v2:daylog:child-1')).value.lastSuccessAt, new Date(NOW_MS + 1200 * 1000).toISOString());
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockUpstream } = require('./helpers/mock-upstream');
+
+describe('upstream client', () => {
+  let upstream;
+  let client;
+
+  before(async () => {
+    upstream = await startMockUpstream();
+    Object.assign(process.env, { UPSTREAM_ENV: 'local', API_URL: upstream.url, API_MAX_RETRIES: '3', API_TIMEOUT_MS: '2000' });
+    console.warn = () => {};
+    client = require('../upstream-client');
+  });
+
+  after(async () => {
+    await upstream.close();
+  });
+
+  beforeEach(() => {
+    upstream.reset();
+    upstream.respond('summary', () => ({ status: 503, body: { error: 'unavailable' } }));
+  });
+
+  test('transient failures are retried within the call', async () => {
+    await assert.rejects(client.requestSummary('parent-1', 'child-1', 'UTC', 'token'), { reasonCode: 'upstream_transient' });
+
+    assert.equal(upstream.requestsFor('summary').length, 4);
+  });
+
+  test('retries stop at the event deadline', async () => {
+    await assert.rejects(
+      client.withUpstreamDeadline(Date.now() + 1000, () => client.requestSummary('parent-1', 'child-1', 'UTC', 'token')),
+      { reasonCode: 'upstream_transient' }
+    );
+
+    assert.equal(upstream.requestsFor('summary').length, 1);
+  });
+
+  test('a call after the deadline fails without a request', async () => {
+    await assert.rejects(
+      client.callUpstream('token', { params: { parentId: 'parent-1' }, deadline: Date.now() - 1 }),
+      { reasonCode: 'event_deadline', retryable: true }
+    );
+
+    assert.equal(upstream.requests.length, 0);
+  });
+});
@@ -0,0 +1,78 @@
+// Timezone helpers for per-child day boundaries.
+// The upstream summary and current-logs APIs bucket activity by local day,
+// so each child's requests must carry that child's IANA timezone.
+
+const FALLBACK_TIMEZONE = 'America/Los_Angeles';
+
+// Field names a document or profile may carry its timezone under
+const TIMEZONE_FIELDS = ['timeZone', 'timezone'];
+
+// Check that a string is an IANA timezone the runtime understands
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Configured default, used when neither the document nor the profile has one
+function getDefaultTimeZone() {
+  const configured = process.env.DEFAULT_TIMEZONE;
+
+  if (configured && isValidTimeZone(configured)) {
+    return configured;
+  }
+
+  if (configured) {
+    console.warn(`Invalid DEFAULT_TIMEZONE "${configured}", using ${FALLBACK_TIMEZONE}`);
+  }
+
+  return FALLBACK_TIMEZONE;
+}
+
+// Read a valid timezone from a document or profile object, if it has one
+function extractTimeZone(source) {
+  if (!source || typeof source !== 'object') {
+    return null;
+  }
+
+  for (const field of TIMEZONE_FIELDS) {
+    if (isValidTimeZone(source[field])) {
+      return source[field];
+    }
+  }
+
+  return null;
+}
+
+// Calendar date ("YYYY-MM-DD") of a moment in a timezone
+function getLocalDate(timeZone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+  const part = type => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+// Calendar date a number of days before or after a "YYYY-MM-DD" date
+function shiftLocalDate(localDate, days) {
+  const [year, month, day] = localDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  isValidTimeZone,
+  getDefaultTimeZone,
+  extractTimeZone,
+  getLocalDate,
+  shiftLocalDate
+};
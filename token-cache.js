@@ -0,0 +1,138 @@
+// Cache for chatAssistant auth tokens, keyed by parentId.
+// Tokens live in memory for the lifetime of the instance and, when
+// AUTH_TOKEN_CACHE_REDIS is "true", in Redis so other instances can reuse them.
+// A token is only served while it has more than the safety margin left
+// before it expires (JWT `exp`, or AUTH_TOKEN_TTL_SECONDS for opaque tokens).
+
+const { namespaceKey } = require('./key-namespace');
+
+const DEFAULT_TOKEN_TTL_SECONDS = 300;
+const DEFAULT_EXPIRY_MARGIN_SECONDS = 30;
+const MAX_MEMORY_ENTRIES = 1000;
+
+const memoryCache = new Map();
+
+function getTokenCacheConfig() {
+  return {
+    ttlSeconds: parseInt(process.env.AUTH_TOKEN_TTL_SECONDS || DEFAULT_TOKEN_TTL_SECONDS),
+    marginSeconds: parseInt(process.env.AUTH_TOKEN_EXPIRY_MARGIN_SECONDS || DEFAULT_EXPIRY_MARGIN_SECONDS),
+    useRedis: process.env.AUTH_TOKEN_CACHE_REDIS === 'true'
+  };
+}
+
+function tokenKey(parentId) {
+  return namespaceKey(`token:${parentId}`);
+}
+
+// Expiry (ms since epoch) from a JWT's `exp` claim, or null for opaque tokens
+function getJwtExpiry(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Whether an entry can still be handed out, leaving room for the request itself
+function isUsable(entry) {
+  const { marginSeconds } = getTokenCacheConfig();
+  return !!entry && entry.expiresAt - marginSeconds * 1000 > Date.now();
+}
+
+// Look up a usable token: memory first, then Redis (if enabled)
+async function getCachedToken(parentId, redisClient) {
+  const memoryEntry = memoryCache.get(parentId);
+  if (isUsable(memoryEntry)) {
+    return memoryEntry.token;
+  }
+  memoryCache.delete(parentId);
+
+  const { useRedis } = getTokenCacheConfig();
+  if (!useRedis || !redisClient) {
+    return null;
+  }
+
+  try {
+    const stored = await redisClient.get(tokenKey(parentId));
+    if (!stored) {
+      return null;
+    }
+
+    const entry = JSON.parse(stored);
+    if (!isUsable(entry)) {
+      return null;
+    }
+
+    rememberInMemory(parentId, entry);
+    return entry.token;
+  } catch (error) {
+    // A cache miss is always safe: the caller fetches a fresh token
+    console.warn(`Could not read cached token for parent ${parentId}:`, error.message);
+    return null;
+  }
+}
+
+function rememberInMemory(parentId, entry) {
+  memoryCache.delete(parentId);
+  memoryCache.set(parentId, entry);
+
+  // Map keeps insertion order, so the first key is the least recently stored
+  if (memoryCache.size > MAX_MEMORY_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+// Store a freshly issued token with its expiry
+async function cacheToken(parentId, token, redisClient) {
+  const { ttlSeconds, useRedis } = getTokenCacheConfig();
+  const expiresAt = getJwtExpiry(token) || Date.now() + ttlSeconds * 1000;
+  const entry = { token, expiresAt };
+
+  if (!isUsable(entry)) {
+    console.warn(`Token for parent ${parentId} expires too soon to cache`);
+    return;
+  }
+
+  rememberInMemory(parentId, entry);
+
+  if (!useRedis || !redisClient) {
+    return;
+  }
+
+  try {
+    await redisClient.set(tokenKey(parentId), JSON.stringify(entry), {
+      expiration: { type: 'PX', value: expiresAt - Date.now() }
+    });
+  } catch (error) {
+    console.warn(`Could not store token for parent ${parentId} in Redis:`, error.message);
+  }
+}
+
+// Forget a token the API has rejected, everywhere it is cached
+async function invalidateCachedToken(parentId, redisClient) {
+  memoryCache.delete(parentId);
+
+  const { useRedis } = getTokenCacheConfig();
+  if (!useRedis || !redisClient) {
+    return;
+  }
+
+  try {
+    await redisClient.del(tokenKey(parentId));
+  } catch (error) {
+    console.warn(`Could not remove cached token for parent ${parentId} from Redis:`, error.message);
+  }
+}
+
+module.exports = {
+  getCachedToken,
+  cacheToken,
+  invalidateCachedToken,
+  getTokenCacheConfig
+};
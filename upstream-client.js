@@ -0,0 +1,295 @@
+// Client for the upstream API (auth token, 7-day summary, current-day logs,
+// child profile). Base URL, timeouts, flType and headers come from
+// upstream.yaml for the environment in UPSTREAM_ENV, overridden by
+// API_URL / API_TIMEOUT_MS / API_FL_TYPE / API_HEADERS.
+//
+// Every request goes through the endpoint's circuit breaker and the shared
+// concurrency limit once a Redis client provider is set with
+// setRedisClientProvider(); without one, requests are sent unguarded.
+//
+// Transient failures (network errors, timeouts, 5xx, 429) are retried inside
+// the call with jittered exponential backoff, honoring Retry-After, until the
+// retry count or time budget runs out. Only then does the error reach the
+// event-level retry.
+//
+// The budget is per call, but one event makes several calls (token, summary,
+// current logs, a second round after a 401, coalesced rounds). Calls made
+// inside withUpstreamDeadline() (or given options.deadline) also stop at the
+// event's deadline: the budget and every attempt's timeout are cut to the time
+// left, and a call that starts after the deadline fails straight away with a
+// retryable error.
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const yaml = require('js-yaml');
+const axios = require('axios');
+const { withCircuitBreaker } = require('./circuit-breaker');
+const { withConcurrencyLimit } = require('./concurrency-limiter');
+const { UpstreamTransient, isTransientUpstreamError, toUpstreamError } = require('./errors');
+
+const ENDPOINTS = {
+  token: {
+    method: 'get',
+    path: ({ parentId }) => `/chatAssistant/token/${encodeURIComponent(parentId)}`
+  },
+  summary: {
+    method: 'post',
+    path: () => '/chatAssistant/summary'
+  },
+  currentLogs: {
+    method: 'post',
+    path: () => '/chatAssistant/current-logs'
+  },
+  childProfile: {
+    method: 'get',
+    path: ({ childId }) => `/child-profile/${encodeURIComponent(childId)}`
+  }
+};
+
+let upstreamConfig = null;
+let redisClientProvider = null;
+
+// Deadline (epoch ms) of the event being processed, set by withUpstreamDeadline
+const eventDeadline = new AsyncLocalStorage();
+
+function getConfigPath() {
+  return process.env.UPSTREAM_CONFIG_PATH || path.join(__dirname, 'upstream.yaml');
+}
+
+// Resolve the settings for the current environment once per instance
+function getUpstreamConfig() {
+  if (upstreamConfig) {
+    return upstreamConfig;
+  }
+
+  const environment = process.env.UPSTREAM_ENV || 'production';
+  const parsed = yaml.load(fs.readFileSync(getConfigPath(), 'utf8')) || {};
+  if (environment !== 'default' && !parsed[environment]) {
+    throw new Error(`Upstream config ${getConfigPath()} has no "${environment}" environment`);
+  }
+
+  const defaults = parsed.default || {};
+  const overrides = parsed[environment] || {};
+  const config = {
+    environment,
+    baseUrl: overrides.baseUrl || defaults.baseUrl,
+    timeoutMs: overrides.timeoutMs || defaults.timeoutMs || 10000,
+    timeouts: { ...(defaults.timeouts || {}), ...(overrides.timeouts || {}) },
+    flType: overrides.flType || defaults.flType || 'ML',
+    headers: { ...(defaults.headers || {}), ...(overrides.headers || {}) },
+    retry: {
+      maxRetries: 3,
+      baseDelayMs: 200,
+      maxDelayMs: 5000,
+      budgetMs: 30000,
+      ...(defaults.retry || {}),
+      ...(overrides.retry || {})
+    }
+  };
+
+  if (process.env.API_URL) {
+    config.baseUrl = process.env.API_URL;
+  }
+  if (process.env.API_TIMEOUT_MS) {
+    config.timeoutMs = parseInt(process.env.API_TIMEOUT_MS);
+    config.timeouts = {};
+  }
+  if (process.env.API_FL_TYPE) {
+    config.flType = process.env.API_FL_TYPE;
+  }
+  if (process.env.API_MAX_RETRIES) {
+    config.retry.maxRetries = parseInt(process.env.API_MAX_RETRIES);
+  }
+  if (process.env.API_RETRY_BUDGET_MS) {
+    config.retry.budgetMs = parseInt(process.env.API_RETRY_BUDGET_MS);
+  }
+  if (process.env.API_HEADERS) {
+    try {
+      Object.assign(config.headers, JSON.parse(process.env.API_HEADERS));
+    } catch (e) {
+      throw new Error(`API_HEADERS must be a JSON object: ${e.message}`);
+    }
+  }
+
+  if (!config.baseUrl) {
+    throw new Error(`No upstream base URL configured for environment "${environment}"`);
+  }
+  config.baseUrl = config.baseUrl.replace(/\/+$/, '');
+
+  console.log(`Upstream API: ${config.baseUrl} (environment: ${environment})`);
+  upstreamConfig = config;
+  return upstreamConfig;
+}
+
+// Share circuit state and concurrency slots through this Redis client
+function setRedisClientProvider(provider) {
+  redisClientProvider = provider;
+}
+
+async function getGuardClient() {
+  if (!redisClientProvider) {
+    return null;
+  }
+  try {
+    return await redisClientProvider();
+  } catch (error) {
+    console.warn('Redis unavailable for upstream guards:', error.message);
+    return null;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Errors worth another attempt. Open circuits and a full concurrency limit are
+// left to the event-level retry: retrying them here would only add load.
+function isTransientError(error) {
+  if (error.code === 'CIRCUIT_OPEN' || error.code === 'UPSTREAM_CONCURRENCY_LIMIT') {
+    return false;
+  }
+  return isTransientUpstreamError(error);
+}
+
+// Delay requested by a 429/503 Retry-After header (seconds or HTTP date), in ms
+function getRetryAfterMs(error) {
+  const header = error.response && error.response.headers && error.response.headers['retry-after'];
+  if (!header) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// "Full jitter": a random delay up to the exponential backoff cap
+function getBackoffMs(retry, attempt) {
+  const cap = Math.min(retry.maxDelayMs, retry.baseDelayMs * Math.pow(2, attempt));
+  return Math.floor(Math.random() * cap);
+}
+
+// Run `fn` with every upstream call made inside it bound to finish by `deadline`
+function withUpstreamDeadline(deadline, fn) {
+  return eventDeadline.run(deadline, fn);
+}
+
+function deadlineError(endpoint, cause) {
+  return new UpstreamTransient(`Upstream ${endpoint} not called: the event deadline has passed`, {
+    reasonCode: 'event_deadline',
+    endpoint,
+    cause
+  });
+}
+
+// Send one request to a named endpoint. Resolves to the axios response, or
+// rejects with one of the typed upstream errors from errors.js.
+async function callUpstream(endpoint, options = {}) {
+  if (!ENDPOINTS[endpoint]) {
+    throw new Error(`Unknown upstream endpoint: ${endpoint}`);
+  }
+
+  const config = getUpstreamConfig();
+  const attemptTimeout = config.timeouts[endpoint] || config.timeoutMs;
+  const startedAt = Date.now();
+  const deadline = options.deadline || eventDeadline.getStore() || Infinity;
+  const budgetEnd = Math.min(startedAt + config.retry.budgetMs, deadline);
+  const client = await getGuardClient();
+
+  for (let attempt = 0; ; attempt++) {
+    // Checked outside the breaker: running out of time says nothing about the upstream
+    if (Date.now() >= deadline) {
+      throw deadlineError(endpoint);
+    }
+
+    try {
+      return await withCircuitBreaker(client, endpoint, () =>
+        withConcurrencyLimit(client, () => sendRequest(endpoint, {
+          ...options,
+          // Waiting for a slot may have used up some of the time left
+          timeout: Math.max(1, Math.min(attemptTimeout, deadline - Date.now()))
+        }))
+      );
+    } catch (error) {
+      error.upstreamAttempts = attempt + 1;
+      if (!isTransientError(error) || attempt >= config.retry.maxRetries) {
+        throw toUpstreamError(endpoint, error);
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      const delay = retryAfterMs !== null ? retryAfterMs : getBackoffMs(config.retry, attempt);
+
+      // Give up if the next attempt could not finish inside the budget (or
+      // before the event's deadline, when that comes first)
+      if (Date.now() + delay + attemptTimeout > budgetEnd) {
+        const limit = budgetEnd < startedAt + config.retry.budgetMs
+          ? 'event deadline'
+          : `retry budget of ${config.retry.budgetMs}ms`;
+        console.warn(`Upstream ${endpoint} ${limit} exhausted after ${attempt + 1} attempt(s)`);
+        throw toUpstreamError(endpoint, error);
+      }
+
+      const reason = error.response ? `HTTP ${error.response.status}` : error.code;
+      console.warn(`Upstream ${endpoint} failed (${reason}), retry ${attempt + 1}/${config.retry.maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+async function sendRequest(endpoint, { params = {}, body, token, timeout } = {}) {
+  const definition = ENDPOINTS[endpoint];
+  const config = getUpstreamConfig();
+  const headers = {
+    'Accept': 'application/json',
+    'Content-Type': 'application/json',
+    ...config.headers
+  };
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  return axios.request({
+    method: definition.method,
+    url: `${config.baseUrl}${definition.path(params)}`,
+    data: body,
+    headers,
+    timeout: timeout || config.timeouts[endpoint] || config.timeoutMs
+  });
+}
+
+function requestAuthToken(parentId) {
+  return callUpstream('token', { params: { parentId } });
+}
+
+function requestSummary(parentId, childId, timeZone, token) {
+  return callUpstream('summary', {
+    body: { childId, parentId, timeZone, flType: getUpstreamConfig().flType },
+    token
+  });
+}
+
+function requestCurrentLogs(childId, timeZone, token) {
+  return callUpstream('currentLogs', {
+    body: { childId, timeZone },
+    token
+  });
+}
+
+function requestChildProfile(childId, token) {
+  return callUpstream('childProfile', { params: { childId }, token });
+}
+
+module.exports = {
+  getUpstreamConfig,
+  setRedisClientProvider,
+  withUpstreamDeadline,
+  callUpstream,
+  requestAuthToken,
+  requestSummary,
+  requestCurrentLogs,
+  requestChildProfile
+};